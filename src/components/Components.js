@@ -3,6 +3,7 @@ import _each from 'lodash/each';
 import _clone from 'lodash/clone';
 import _remove from 'lodash/remove';
 import _assign from 'lodash/assign';
+import _isArray from 'lodash/isArray';
 import Promise from "native-promise-only";
 import { BaseComponent } from './base/Base';
 
@@ -99,6 +100,46 @@ export class FormioComponents extends BaseComponent {
     return comp;
   }
 
+  /**
+   * Returns the component which holds the value at a data path, such as the "grid.0.name" or
+   * ['grid', 0, 'name'] paths of the validation errors returned by the server.
+   *
+   * @param {string|Array} path - The data path relative to the data of this component.
+   * @param {Array<BaseComponent>} components - The components to search. Defaults to the child components.
+   * @return {BaseComponent} - The component that is located, or null.
+   */
+  getComponentByPath(path, components) {
+    let parts = FormioComponents.getPathParts(path);
+    if (!parts.length) {
+      return null;
+    }
+    let comp = null;
+    _each(components || this.getComponents(), (component) => {
+      // Layout components do not add to the data path.
+      if (component.type === 'components') {
+        comp = component.getComponentByPath(parts);
+      }
+      else if (component.component && (component.component.key === parts[0])) {
+        comp = ((parts.length > 1) && component.getComponentByPath) ?
+          (component.getComponentByPath(parts.slice(1)) || component) :
+          component;
+      }
+      return !comp;
+    });
+    return comp;
+  }
+
+  /**
+   * Splits a data path such as "grid[0].name", "grid.0.name" or ['grid', 0, 'name'] into its keys.
+   *
+   * @param {string|Array} path - The data path.
+   * @return {Array<string>} - The keys of the path.
+   */
+  static getPathParts(path) {
+    let parts = _isArray(path) ? path.map(String) : String(path).replace(/\[(\d+)\]/g, '.$1').split('.');
+    return parts.filter((part) => part !== '');
+  }
+
   /**
    * Add a new component to the components array.
    *
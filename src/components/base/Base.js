@@ -930,6 +930,8 @@ export class BaseComponent {
     if (!noValidate) {
       this.pristine = false;
     }
+    // The error returned by the server no longer applies to the changed value.
+    this.serverError = '';
     if (this.events) {
       this.emit('componentChange', {
         component: this.component,
@@ -1070,7 +1072,7 @@ export class BaseComponent {
       return true;
     }
 
-    let message = Validator.check(this, data);
+    let message = Validator.check(this, data) || this.serverError;
     this.setCustomValidity(message, dirty);
 
     // No message, returns true
@@ -1093,6 +1095,16 @@ export class BaseComponent {
     return FormioUtils.interpolate(string, data);
   }
 
+  /**
+   * Shows an error returned by the server for the value of this component until the value changes.
+   *
+   * @param {string} message - The error message.
+   */
+  setServerError(message) {
+    this.serverError = message;
+    this.setCustomValidity(message, true);
+  }
+
   setCustomValidity(message, dirty) {
     if (this.errorElement && this.errorContainer) {
       this.errorElement.innerHTML = '';
@@ -1,4 +1,5 @@
 import { BaseComponent } from '../base/Base';
+import FormioOAuth from '../../formio.oauth';
 export class ButtonComponent extends BaseComponent {
   elementInfo() {
     let info = super.elementInfo();
@@ -42,6 +43,17 @@ export class ButtonComponent extends BaseComponent {
       this.label = this.text(this.component.label);
       this.element.appendChild(this.label);
     }
+    if (this.component.action === 'oauth') {
+      let done = () => {
+        if (this._loading) {
+          this.loading = false;
+          this.disabled = false;
+        }
+      };
+      this.on('submitDone', done, true);
+      this.on('error', done, true);
+      this.checkOAuthRedirect();
+    }
     if (this.component.action === 'submit') {
       this.on('submitButton', () => {
         this.loading = true;
@@ -75,7 +87,8 @@ export class ButtonComponent extends BaseComponent {
           this.emit('resetForm');
           break;
         case 'oauth':
-          console.log('OAuth currently not supported.');
+          event.preventDefault();
+          this.openOAuth();
           break;
       }
     });
@@ -83,4 +96,47 @@ export class ButtonComponent extends BaseComponent {
       this.disabled = true;
     }
   }
+
+  /**
+   * Returns the OAuth authorization of this button.
+   *
+   * @returns {FormioOAuth}
+   */
+  get oauth() {
+    return new FormioOAuth(this.component.oauth, {
+      key: this.component.key,
+      window: this.options.oauthWindow
+    });
+  }
+
+  /**
+   * Authorizes with the OAuth provider of this button and submits the code to the OAuth action of the form.
+   */
+  openOAuth() {
+    this.loading = true;
+    this.disabled = true;
+    return this.oauth.authorize().then(
+      (result) => this.emit('submitOAuth', result),
+      (err) => this.emit('oauthError', err)
+    );
+  }
+
+  /**
+   * Submits the code if the provider redirected back to this page for the OAuth action of this button.
+   */
+  checkOAuthRedirect() {
+    let result = null;
+    try {
+      result = this.oauth.getRedirectResult();
+    }
+    catch (err) {
+      this.emit('oauthError', err);
+      return;
+    }
+    if (result) {
+      this.loading = true;
+      this.disabled = true;
+      this.emit('submitOAuth', result);
+    }
+  }
 }
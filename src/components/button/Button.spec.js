@@ -1,8 +1,49 @@
 'use strict';
 import assert from 'power-assert';
+import EventEmitter from 'eventemitter2';
+import _assign from 'lodash/assign';
 import { ButtonComponent } from './Button';
+import FormioOAuth from '../../formio.oauth';
+import Formio from '../../formio';
 import { components as comps } from './fixtures/index';
 import { Harness } from '../../../test/harness';
+
+/**
+ * A stand-in for the browser window which plays the part of the OAuth provider.
+ */
+let createProvider = function(callback) {
+  let listeners = [];
+  let storage = {};
+  let provider = {
+    opened: null,
+    popup: null,
+    location: {href: 'https://app.localhost/login'},
+    sessionStorage: {
+      getItem: (key) => (storage.hasOwnProperty(key) ? storage[key] : null),
+      setItem: (key, value) => (storage[key] = value),
+      removeItem: (key) => delete storage[key]
+    },
+    addEventListener: (type, listener) => listeners.push(listener),
+    removeEventListener: (type, listener) => listeners.splice(listeners.indexOf(listener), 1),
+    postMessage: (data) => listeners.slice().forEach((listener) => listener({
+      source: provider.popup,
+      origin: 'https://app.localhost',
+      data: data
+    })),
+    open: (url) => {
+      provider.opened = url;
+      provider.popup = {
+        closed: false,
+        location: {href: url},
+        close: () => (provider.popup.closed = true)
+      };
+      setTimeout(() => callback(provider, FormioOAuth.parseParams(url)), 10);
+      return provider.popup;
+    }
+  };
+  return provider;
+};
+
 describe('Button Component', function() {
   it('Should build a button component', function(done) {
     Harness.testCreate(ButtonComponent, comps.comp1).then((component) => {
@@ -10,4 +51,76 @@ describe('Button Component', function() {
       done();
     });
   });
+
+  it('Should authorize with the OAuth provider in a popup', function(done) {
+    let provider = createProvider((provider, params) => {
+      provider.popup.location.href = params.redirect_uri + '?code=abc&state=' + params.state;
+    });
+    new FormioOAuth(comps.comp2.oauth, {window: provider, interval: 5}).authorize()
+      .then((result) => {
+        let params = FormioOAuth.parseParams(provider.opened);
+        assert.equal(params.client_id, 'client123');
+        assert.equal(params.response_type, 'code');
+        assert.equal(params.scope, 'user:email');
+        assert.ok(params.state, 'A state should be generated');
+        assert.deepEqual(result, {
+          provider: 'github',
+          code: 'abc',
+          state: params.state,
+          redirectURI: 'https://app.localhost/callback'
+        });
+        assert.ok(provider.popup.closed, 'The popup should be closed');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should accept the callback as a message and reject a forged state', function(done) {
+    let provider = createProvider((provider) => provider.postMessage('?code=abc&state=forged'));
+    new FormioOAuth(comps.comp2.oauth, {window: provider, interval: 5}).authorize()
+      .then(() => {
+        done('The authorization should have failed');
+      }, (err) => {
+        assert.ok(err instanceof Formio.AuthError);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should complete an authorization which redirected the page', function() {
+    let provider = createProvider();
+    let settings = _assign({}, comps.comp2.oauth, {display: 'redirect'});
+    new FormioOAuth(settings, {key: 'github', window: provider}).authorize();
+    let params = FormioOAuth.parseParams(provider.location.href);
+    assert.equal(provider.location.href.indexOf(settings.authURI), 0, 'The page should redirect to the provider');
+
+    provider.location.href = settings.redirectURI + '?code=abc&state=' + params.state;
+    assert.equal(new FormioOAuth(settings, {key: 'other', window: provider}).getRedirectResult(), null);
+    let result = new FormioOAuth(settings, {key: 'github', window: provider}).getRedirectResult();
+    assert.equal(result.code, 'abc');
+    assert.equal(new FormioOAuth(settings, {key: 'github', window: provider}).getRedirectResult(), null,
+      'A callback should only be completed once');
+  });
+
+  it('Should submit the OAuth code when the button is clicked', function(done) {
+    let provider = createProvider((provider, params) => {
+      provider.popup.location.href = params.redirect_uri + '?code=abc&state=' + params.state;
+    });
+    let events = new EventEmitter({
+      wildcard: false,
+      maxListeners: 0
+    });
+    let component = new ButtonComponent(comps.comp2, {events: events, oauthWindow: provider});
+    component.localize().then(() => {
+      component.build();
+      component.on('submitOAuth', (result) => {
+        assert.equal(result.code, 'abc');
+        assert.equal(result.provider, 'github');
+        done();
+      });
+      let event = document.createEvent('Event');
+      event.initEvent('click', true, true);
+      component.element.dispatchEvent(event);
+    });
+  });
 });
@@ -0,0 +1,15 @@
+export const component = {
+  "type": "button",
+  "theme": "primary",
+  "action": "oauth",
+  "key": "github",
+  "label": "Sign in with GitHub",
+  "input": true,
+  "oauth": {
+    "provider": "github",
+    "clientId": "client123",
+    "authURI": "https://provider.localhost/authorize",
+    "redirectURI": "https://app.localhost/callback",
+    "scope": "user:email"
+  }
+};
@@ -2,6 +2,7 @@ import _each from 'lodash/each';
 import _cloneDeep from 'lodash/cloneDeep';
 import _clone from 'lodash/clone';
 import _isArray from 'lodash/isArray';
+import _values from 'lodash/values';
 import { FormioComponents } from '../Components';
 export class DataGridComponent extends FormioComponents {
   constructor(component, options, data) {
@@ -150,6 +151,21 @@ export class DataGridComponent extends FormioComponents {
     return show;
   }
 
+  /**
+   * Returns the component of a row which holds the value at a path such as "0.name".
+   *
+   * @param {string|Array} path - The row index followed by the path within the row.
+   * @return {BaseComponent} - The component that is located, or null.
+   */
+  getComponentByPath(path) {
+    let parts = FormioComponents.getPathParts(path);
+    let row = this.rows ? this.rows[parts[0]] : null;
+    if (!row || (parts.length < 2)) {
+      return null;
+    }
+    return super.getComponentByPath(parts.slice(1), _values(row));
+  }
+
   setValue(value, noUpdate, noValidate) {
     if (!value) {
       return;
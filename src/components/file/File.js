@@ -110,6 +110,10 @@ export class FileComponent extends BaseComponent {
   }
 
   createFileLink(file) {
+    // Files stored within the submission are downloaded from their data url, which browsers do not open.
+    if (file.storage === 'base64') {
+      return this.ce('a', {href: file.url, download: file.originalName || file.name}, file.name);
+    }
     return this.ce('a', {
       href: file.url, target: '_blank',
       onClick: this.getFile.bind(this, file)
@@ -124,8 +128,8 @@ export class FileComponent extends BaseComponent {
 
   createImageListItem(fileInfo, index) {
     let image;
-    if (this.options.formio) {
-      this.options.formio.downloadFile(fileInfo)
+    if (this.fileService) {
+      this.fileService.downloadFile(fileInfo)
         .then(result => {
           image.src = result.url;
         });
@@ -294,11 +298,8 @@ export class FileComponent extends BaseComponent {
           message: 'Starting upload'
         };
         const dir = this.interpolate(this.component.dir || '', {data: this.data, row: this.row});
-        let formio = null;
-        if (this.options.formio) {
-          formio = this.options.formio;
-        }
-        else {
+        const formio = this.fileService;
+        if (!formio) {
           fileUpload.status = 'error';
           fileUpload.message = 'File Upload URL not provided.';
         }
@@ -314,7 +315,7 @@ export class FileComponent extends BaseComponent {
             const originalStatus = uploadStatus;
             uploadStatus = this.createUploadStatus(fileUpload);
             this.uploadStatusList.replaceChild(uploadStatus, originalStatus);
-          }, this.component.url)
+          }, this.component.url, this.getUploadOptions())
           .then(fileInfo => {
             this.uploadStatusList.removeChild(uploadStatus);
             this.data[this.component.key].push(fileInfo);
@@ -334,11 +335,46 @@ export class FileComponent extends BaseComponent {
     }
   }
 
+  /**
+   * The Formio instance which uploads and downloads the files. Files stored within the submission do not need a
+   * form, so they are handled by the Formio class itself in offline and server-less deployments.
+   *
+   * @returns {Object}
+   */
+  get fileService() {
+    if (this.options.formio) {
+      return this.options.formio;
+    }
+    if (this.component.storage === 'base64') {
+      return {
+        uploadFile: Formio.prototype.uploadFile.bind(Formio),
+        downloadFile: Formio.prototype.downloadFile.bind(Formio)
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Returns the options of the storage provider, such as whether to upload in chunks or the maximum size of
+   * files stored within the submission.
+   *
+   * @returns {Object}
+   */
+  getUploadOptions() {
+    if (this.component.storage === 'base64') {
+      return {maxSize: this.component.maxSize};
+    }
+    return (this.component.chunked && (this.component.storage === 'url')) ? {
+      chunked: true,
+      chunkSize: this.component.chunkSize
+    } : null;
+  }
+
   getFile(fileInfo, event)  {
-    if (!this.options.formio) {
+    if (!this.fileService) {
       return alert('File URL not set');
     }
-    this.options.formio
+    this.fileService
       .downloadFile(fileInfo).then(function(file) {
         if (file) {
           window.open(file.url, '_blank');
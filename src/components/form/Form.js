@@ -1,6 +1,7 @@
 import FormioForm from '../../formio.form';
 import FormioUtils from '../../utils';
 import _merge from 'lodash/merge';
+import { FormioComponents } from '../Components';
 export class FormComponent extends FormioForm {
   constructor(component, options, data) {
     super(null, options);
@@ -98,6 +99,20 @@ export class FormComponent extends FormioForm {
     this.checkConditions(this.getValue());
   }
 
+  /**
+   * Returns the component of the nested form which holds the value at a path such as "data.name".
+   *
+   * @param {string|Array} path - The path within the submission of the nested form.
+   * @return {BaseComponent} - The component that is located, or null.
+   */
+  getComponentByPath(path) {
+    let parts = FormioComponents.getPathParts(path);
+    if (parts[0] === 'data') {
+      parts = parts.slice(1);
+    }
+    return super.getComponentByPath(parts);
+  }
+
   setValue(submission, noUpdate, noValidate) {
     if (!submission) {
       this.data[this.component.key] = this._submission = {data: {}};
@@ -5,6 +5,7 @@ import _each from 'lodash/each';
 import _get from 'lodash/get';
 import _isEmpty from 'lodash/isEmpty';
 import _isArray from 'lodash/isArray';
+import _assign from 'lodash/assign';
 export class SelectComponent extends BaseComponent {
   constructor(component, options, data) {
     super(component, options, data);
@@ -66,6 +67,7 @@ export class SelectComponent extends BaseComponent {
   }
 
   loadItems(url, input, headers, options) {
+    let client = this.options.client || Formio;
     let query = (this.component.dataSrc === 'url') ? {} : {
       limit: 100,
       skip: 0
@@ -74,7 +76,7 @@ export class SelectComponent extends BaseComponent {
     // Allow for url interpolation.
     url = this.interpolate(url, {
       data: this.data,
-      formioBase: Formio.getBaseUrl()
+      formioBase: client.getBaseUrl()
     });
 
     // Add search capability.
@@ -82,9 +84,22 @@ export class SelectComponent extends BaseComponent {
       query[this.component.searchField] = input;
     }
 
-    // Add filter capability
+    // Add filter capability. Filters are either a query string or an object of query builder filters.
     if (this.component.filter) {
-      let filter = this.interpolate(this.component.filter, {data: this.data});
+      let filter = this.component.filter;
+      if (filter instanceof Formio.Query) {
+        filter = filter.toString();
+      }
+      else if (typeof filter === 'object') {
+        let filters = {};
+        _each(filter, (value, key) => {
+          filters[key] = (typeof value === 'string') ? this.interpolate(value, {data: this.data}) : value;
+        });
+        filter = Formio.query(filters).toString();
+      }
+      else {
+        filter = this.interpolate(filter, {data: this.data});
+      }
       url += ((url.indexOf('?') === -1) ? '?' : '&') + filter;
     }
 
@@ -98,10 +113,26 @@ export class SelectComponent extends BaseComponent {
       url += '?' + Formio.serialize(query);
     }
 
+    // Cancel the previous request so a slow response does not overwrite newer items.
+    if (this.itemsRequest) {
+      this.itemsRequest.cancel();
+    }
+    let itemsRequest = this.itemsRequest = Formio.createCancelToken();
+    options = _assign({}, options, {signal: itemsRequest.signal});
+
     // Make the request.
-    Formio.request(url, null, null, headers, options)
+    client.request(url, null, null, headers, options)
       .then((response) => this.setItems(response))
-      .catch(() => console.warn('Unable to load resources for ' + this.component.key))
+      .catch((err) => {
+        if (!err || !err.cancelled) {
+          console.warn('Unable to load resources for ' + this.component.key);
+        }
+      })
+      .then(() => {
+        if (this.itemsRequest === itemsRequest) {
+          this.itemsRequest = null;
+        }
+      });
   }
 
   updateItems() {
@@ -125,7 +156,7 @@ export class SelectComponent extends BaseComponent {
         break;
       case 'resource':
         try {
-          this.loadItems(Formio.getProjectUrl() + '/form/' + this.component.data.resource + '/submission');
+          this.loadItems((this.options.client || Formio).getProjectUrl() + '/form/' + this.component.data.resource + '/submission');
         }
         catch (err) {
           console.warn('Unable to load resources for ' + this.component.key);
@@ -216,6 +247,9 @@ export class SelectComponent extends BaseComponent {
   }
 
   destroy() {
+    if (this.itemsRequest) {
+      this.itemsRequest.cancel();
+    }
     if (this.choices) {
       this.choices.destroy();
     }
@@ -2,6 +2,8 @@
 import { SelectComponent } from './Select';
 import { components as comps } from './fixtures/index';
 import { Harness } from '../../../test/harness';
+import Formio from '../../formio';
+import assert from 'power-assert';
 describe('Select Component', function() {
   it('Should build a Select component', function(done) {
     Harness.testCreate(SelectComponent, comps.comp1).then((component) => {
@@ -9,4 +11,44 @@ describe('Select Component', function() {
       done();
     });
   });
+
+  it('Should load the items of Selects on the same resource with one request', function(done) {
+    let urls = [];
+    let respond = [];
+    let loaded = [];
+    Formio.setFetch((url) => {
+      urls.push(url);
+      return new Promise((resolve) => respond.push(resolve));
+    });
+    let finish = (err) => {
+      Formio.setFetch(null);
+      done(err);
+    };
+    let settings = {
+      dataSrc: 'resource',
+      data: {resource: 'states'},
+      template: '<span>{{ item.data.name }}</span>'
+    };
+    Formio.clearCache()
+      .then(() => Promise.all([
+        Harness.testCreate(SelectComponent, comps.comp1, settings),
+        Harness.testCreate(SelectComponent, comps.comp1, settings)
+      ]))
+      .then((selects) => {
+        assert.equal(urls.length, 1, 'Only one request should be sent');
+        assert.equal(urls[0], Formio.getProjectUrl() + '/form/states/submission?limit=100&skip=0');
+        selects.forEach((select) => {
+          select.setItems = (items) => loaded.push(items);
+        });
+        respond[0](new Response(JSON.stringify([{data: {name: 'Texas'}}]), {
+          headers: {'Content-Type': 'application/json'}
+        }));
+        return new Promise((resolve) => setTimeout(resolve, 10));
+      })
+      .then(() => {
+        assert.deepEqual(loaded.map((items) => items[0].data.name), ['Texas', 'Texas']);
+        finish();
+      })
+      .catch(finish);
+  });
 });
@@ -0,0 +1,201 @@
+'use strict';
+
+/**
+ * The base class of the errors the SDK rejects with. It carries the details of the failed request so that
+ * callers can branch on the type of the error instead of parsing its message.
+ *
+ * @example
+ * formio.saveSubmission(submission).catch((err) => {
+ *   if (err instanceof Formio.ValidationError) {
+ *     err.details.forEach((detail) => console.log(detail.path, detail.message));
+ *   }
+ *   else if (err instanceof Formio.NetworkError) {
+ *     console.log('Could not reach ' + err.url);
+ *   }
+ * });
+ */
+export class FormioError {
+  /**
+   * Creates a new error.
+   *
+   * @param {string} message - The message of this error.
+   * @param {Object} options - The details of the failed request.
+   * @param {number} options.status - The HTTP status of the response.
+   * @param {string} options.url - The url of the request.
+   * @param {string} options.method - The HTTP method of the request.
+   * @param {Object} options.headers - The headers of the response.
+   * @param {*} options.response - The parsed body of the response.
+   * @param {Array} options.details - The validation errors of the response.
+   * @param {Error} options.cause - The error which caused this error.
+   */
+  constructor(message, options) {
+    options = options || {};
+    this.name = 'FormioError';
+    this.message = message || '';
+    this.status = options.status || 0;
+    this.url = options.url || '';
+    this.method = options.method || '';
+    this.headers = options.headers || {};
+    this.response = options.hasOwnProperty('response') ? options.response : null;
+    this.details = options.details || [];
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+    this.stack = (new Error(this.message)).stack;
+  }
+
+  /**
+   * Returns the message so that code which treated errors as strings keeps working.
+   *
+   * @returns {string}
+   */
+  toString() {
+    return this.message;
+  }
+
+  /**
+   * Creates the error for an unsuccessful response of the API, choosing its class by the status of the
+   * response and the shape of the parsed body.
+   *
+   * @param {number} status - The HTTP status of the response.
+   * @param {*} body - The parsed body of the response.
+   * @param {Object} options - The url, method and headers of the request, as accepted by the constructor.
+   * @returns {FormioError}
+   */
+  static fromResponse(status, body, options) {
+    options = options || {};
+    options.status = status;
+    options.response = body;
+    var message = '';
+    if (typeof body === 'string') {
+      message = body;
+    }
+    else if (body && (typeof body === 'object')) {
+      if (Array.isArray(body.details)) {
+        options.details = body.details;
+      }
+      message = body.message || (options.details || []).map(function(detail) {
+        return detail.message;
+      }).join(', ') || body.name || '';
+    }
+    message = message || ('Request failed with status ' + status);
+
+    if (options.details || (body && (body.name === 'ValidationError'))) {
+      return new FormioValidationError(message, options);
+    }
+    if ((status === 401) || (status === 403) || (status === 440)) {
+      return new FormioAuthError(message, options);
+    }
+    if (status === 404) {
+      return new FormioNotFoundError(message, options);
+    }
+    if ((status === 409) || (status === 412)) {
+      return new FormioConflictError(message, options);
+    }
+    if (status >= 500) {
+      return new FormioServerError(message, options);
+    }
+    return new FormioError(message, options);
+  }
+}
+
+// Babel cannot extend the native Error class, so inherit its prototype instead to support instanceof Error.
+Object.setPrototypeOf(FormioError.prototype, Error.prototype);
+
+/**
+ * The server could not be reached. The networkError flag is set for compatibility.
+ */
+export class FormioNetworkError extends FormioError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+    this.networkError = true;
+  }
+}
+
+/**
+ * The request took longer than its timeout option.
+ */
+export class FormioTimeoutError extends FormioNetworkError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'TimeoutError';
+    this.timeout = true;
+  }
+}
+
+/**
+ * The request was cancelled with its signal.
+ */
+export class FormioCancelError extends FormioError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'CancelError';
+    this.cancelled = true;
+  }
+}
+
+/**
+ * The token is missing, invalid or expired, or does not grant access (401, 403 and 440 responses).
+ */
+export class FormioAuthError extends FormioError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * The submitted data is invalid. The details provide the message, path and type of every invalid field.
+ * Named ValidationError like the error bodies of the API server.
+ */
+export class FormioValidationError extends FormioError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * The requested resource does not exist.
+ */
+export class FormioNotFoundError extends FormioError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The entity was changed by someone else since it was loaded (409 and 412 responses). When saving with the
+ * original option, the error provides the original, local and current versions of the entity.
+ */
+export class FormioConflictError extends FormioError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ConflictError';
+    this.original = null;
+    this.data = null;
+    this.current = null;
+  }
+}
+
+/**
+ * The server failed to handle the request (5xx responses).
+ */
+export class FormioServerError extends FormioError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ServerError';
+  }
+}
+
+FormioError.NetworkError = FormioNetworkError;
+FormioError.TimeoutError = FormioTimeoutError;
+FormioError.CancelError = FormioCancelError;
+FormioError.AuthError = FormioAuthError;
+FormioError.ValidationError = FormioValidationError;
+FormioError.NotFoundError = FormioNotFoundError;
+FormioError.ConflictError = FormioConflictError;
+FormioError.ServerError = FormioServerError;
+module.exports = FormioError;
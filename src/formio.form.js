@@ -4,7 +4,10 @@ import Formio from './formio';
 import { FormioComponents } from './components/Components';
 import _each from 'lodash/each';
 import _clone from 'lodash/clone';
+import _cloneDeep from 'lodash/cloneDeep';
 import _assign from 'lodash/assign';
+import _filter from 'lodash/filter';
+import _map from 'lodash/map';
 import EventEmitter from 'eventemitter2';
 
 /**
@@ -69,6 +72,19 @@ export class FormioForm extends FormioComponents {
    * @param {boolean} options.noAlerts - Set to true to disable the alerts dialog.
    * @param {boolean} options.i18n - The translation file for this rendering. @see https://github.com/formio/formio.js/blob/master/src/locals/en.js
    * @param {boolean} options.template - Provides a way to inject custom logic into the creation of every element rendered within the form.
+   * @param {FormioClient} options.client - The client used to load and submit this form. @see Formio.createClient
+   * @param {Array} options.plugins - Plugins which only apply to the requests of this form. @see Formio.registerPlugin
+   * @param {string} options.auth - Set to "login" or "register" to log in or register the user with the submission
+   *   of this form. @see Formio.login
+   * @param {boolean} options.checkPermissions - Set to true to check the permissions of the user once the form
+   *   loads, and disable the form if the user may not submit it. @see Formio#userPermissions
+   * @param {number|string} options.formRevision - The number or id of the revision of the form to render instead
+   *   of its current version, or "submission" to render the revision the loaded submission was created with.
+   * @param {boolean} options.patch - Set to true to only send the changes to the loaded submission, as JSON-Patch
+   *   operations, when it is submitted.
+   * @param {function} options.onConflict - Called with the Formio.ConflictError when the loaded submission was
+   *   changed by someone else before it was submitted. Return the merged submission, or a promise of it, to save
+   *   it over the current version, or nothing to show the conflict as an error. @see FormioForm#onConflict
    *
    * @example
    * import FormioForm from 'formiojs/form';
@@ -91,6 +107,12 @@ export class FormioForm extends FormioComponents {
     this._submission = {};
     this._form = null;
 
+    /**
+     * The version of the submission loaded from the server, which updates are checked against.
+     * @type {Object}
+     */
+    this.original = null;
+
     /**
      * Determines if this form should submit the API on submit.
      * @type {boolean}
@@ -236,7 +258,10 @@ export class FormioForm extends FormioComponents {
   loadSubmission() {
     if (this.formio.submissionId) {
       this.onSubmission = this.formio.loadSubmission().then(
-        (submission) => this.setSubmission(submission),
+        (submission) => {
+          this.original = _cloneDeep(submission);
+          return this.setSubmission(submission);
+        },
         (err) => this.submissionReadyReject(err)
       ).catch(
         (err) => this.submissionReadyReject(err)
@@ -244,6 +269,26 @@ export class FormioForm extends FormioComponents {
     }
   }
 
+  /**
+   * Loads the form, or the revision of the form pinned by the formRevision option.
+   *
+   * @returns {Promise.<Object>}
+   */
+  loadForm() {
+    let revision = this.options.formRevision;
+    if (revision !== 'submission') {
+      return this.formio.loadForm({revision: revision});
+    }
+    if (!this.formio.submissionId) {
+      return this.formio.loadForm();
+    }
+
+    // Submissions record the revision of the form they were created with as _fvid.
+    return this.formio.loadSubmission().then((submission) => this.formio.loadForm({
+      revision: submission ? submission._fvid : null
+    }));
+  }
+
   /**
    * Set the Form source, which is typically the Form.io embed URL.
    *
@@ -259,13 +304,39 @@ export class FormioForm extends FormioComponents {
   set src(value) {
     this.url = value;
     this.nosubmit = false;
-    this.formio.loadForm().then(
+    this.loadForm().then(
       (form) => this.setForm(form),
       (err) => this.formReadyReject(err)
     ).catch(
       (err) => this.formReadyReject(err)
     );
     this.loadSubmission();
+    if (this.options.checkPermissions) {
+      this.formReady.then(() => this.checkPermissions()).catch(() => {});
+    }
+  }
+
+  /**
+   * Checks the permissions of the current user on the form and submission. If the user may view but not change
+   * the submission, the form becomes read only, and if the user may not submit the form at all it is disabled
+   * with a message. The "permissions" event is emitted with the permissions.
+   *
+   * @returns {Promise.<Object>} - The permissions. @see Formio#userPermissions
+   */
+  checkPermissions() {
+    return this.formio.userPermissions(undefined, this.form).then((permissions) => {
+      this.permissions = permissions;
+      let existing = !!this.formio.submissionId;
+      if (!(existing ? permissions.edit : permissions.create)) {
+        this.options.readOnly = true;
+        this.disabled = true;
+        if (!existing || !permissions.read) {
+          this.setAlert('warning', '<p>' + this.t(existing ? 'noReadPermission' : 'noCreatePermission') + '</p>');
+        }
+      }
+      this.emit('permissions', permissions);
+      return permissions;
+    });
   }
 
   /**
@@ -288,7 +359,10 @@ export class FormioForm extends FormioComponents {
     }
     this._src = value;
     this.nosubmit = true;
-    this.formio = this.options.formio = new Formio(value);
+    this.formio = this.options.formio = new Formio(value, {
+      client: this.options.client,
+      plugins: this.options.plugins
+    });
 
     if (this.type === 'form') {
       // Set the options source so this can be passed to other components.
@@ -558,6 +632,8 @@ export class FormioForm extends FormioComponents {
    */
   build() {
     this.on('submitButton', () => this.submit(), true);
+    this.on('submitOAuth', (result) => this.formReady.then(() => this.submitOAuth(result)), true);
+    this.on('oauthError', (err) => this.onSubmissionError(err), true);
     this.addComponents();
     this.checkConditions(this.getValue());
   }
@@ -572,7 +648,7 @@ export class FormioForm extends FormioComponents {
     this.loading = false;
     let errors = this.errors;
     if (error) {
-      errors.push(error);
+      errors = errors.concat(error);
     }
     if (!errors.length) {
       this.setAlert(false);
@@ -604,6 +680,7 @@ export class FormioForm extends FormioComponents {
     this.setAlert('success', '<p>' + this.t('complete') + '</p>');
     this.emit('submit', submission);
     if (saved) {
+      this.original = _cloneDeep(submission);
       this.emit('submitDone', submission);
     }
     return submission;
@@ -612,7 +689,7 @@ export class FormioForm extends FormioComponents {
   /**
    * Called when an error occurs during the submission.
    *
-   * @param {Object} error - The error that occured.
+   * @param {Formio.Error|Object|string} error - The error that occured.
    */
   onSubmissionError(error) {
     if (!error) {
@@ -623,10 +700,42 @@ export class FormioForm extends FormioComponents {
     if (typeof error === 'string') {
       error = {message: error};
     }
+    if (error instanceof Formio.ConflictError) {
+      error = {message: this.t('conflict')};
+    }
+
+    // Show every invalid field of a validation error instead of their combined message.
+    if ((error instanceof Formio.ValidationError) && error.details.length) {
+      error = this.setServerErrors(error.details);
+    }
 
     this.showErrors(error);
   }
 
+  /**
+   * Shows the details of a validation error returned by the server inline on the components they belong to,
+   * including the rows of data grids and the components of nested forms. Each error is cleared once the value
+   * of its component changes.
+   *
+   * @param {Array} details - The details of the validation error, each providing a message and a data path.
+   * @returns {Array} - The details which are not reported by the errors of this form, which are those that do not
+   *   belong to a component and those of the rows of data grids.
+   */
+  setServerErrors(details) {
+    let components = _map(details, (detail) => {
+      let component = (detail && detail.path) ? this.getComponentByPath(detail.path) : null;
+      if (component) {
+        component.setServerError(detail.message);
+      }
+      return component;
+    });
+    let errors = this.errors;
+    return _filter(details, (detail, index) => {
+      let component = components[index];
+      return !component || !component.error || (errors.indexOf(component.error) === -1);
+    });
+  }
+
   /**
    * Called when the submission has changed in value.
    *
@@ -684,7 +793,17 @@ export class FormioForm extends FormioComponents {
       if (this.nosubmit || !this.formio) {
         return this.onSubmit(submission, false);
       }
-      return this.formio.saveSubmission(submission)
+      let request = null;
+      if (!this.options.auth) {
+        request = this.saveSubmission(submission);
+      }
+      else if ((this.options.auth === 'login') || (this.options.auth === 'register')) {
+        request = this.formio.client[this.options.auth](this.formio, submission);
+      }
+      else {
+        request = Promise.reject(new Formio.Error('The auth option must be "login" or "register"'));
+      }
+      return request
         .then(
           (result) => this.onSubmit(result, true),
           (err) => this.onSubmissionError(err)
@@ -699,6 +818,85 @@ export class FormioForm extends FormioComponents {
     }
   }
 
+  /**
+   * Saves the submission. Updates of the loaded submission are sent with its modified timestamp as a
+   * precondition, so that they do not overwrite the changes of someone else.
+   *
+   * @param {Object} submission - The submission to save.
+   * @returns {Promise.<Object>} - The saved submission.
+   */
+  saveSubmission(submission) {
+    let opts = {};
+    if (this.original && this.formio.submissionId) {
+      opts.original = this.original;
+      opts.patch = !!this.options.patch;
+    }
+    return this.formio.saveSubmission(submission, opts).catch((err) => {
+      if (!(err instanceof Formio.ConflictError)) {
+        throw err;
+      }
+      return this.onConflict(err);
+    });
+  }
+
+  /**
+   * Called when the submission was changed by someone else since it was loaded. Emits the "submitConflict" event
+   * and lets the onConflict option merge the original, local and current versions of the conflict.
+   *
+   * @example
+   * let form = new FormioForm(document.getElementById('formio'), {
+   *   onConflict: (conflict) => {
+   *     // Keep the changes of the other user, except for the comment.
+   *     let merged = _.cloneDeep(conflict.current);
+   *     merged.data.comment = conflict.data.data.comment;
+   *     return merged;
+   *   }
+   * });
+   *
+   * @param {Formio.ConflictError} conflict - The conflict, providing the original, data and current versions.
+   * @returns {Promise.<Object>} - The saved merged submission. Rejects with the conflict if it was not merged.
+   */
+  onConflict(conflict) {
+    this.emit('submitConflict', conflict);
+    if (!this.options.onConflict) {
+      return Promise.reject(conflict);
+    }
+    return Promise.resolve(this.options.onConflict(conflict)).then((merged) => {
+      if (!merged) {
+        throw conflict;
+      }
+      this.original = _cloneDeep(conflict.current);
+      return this.saveSubmission(merged);
+    });
+  }
+
+  /**
+   * Submits the code of an OAuth button to the OAuth action of this form, which responds with the token and
+   * user that are then stored like Formio.login.
+   *
+   * @param {Object} result - The {provider, code, state, redirectURI} of the authorization.
+   * @returns {Promise}
+   */
+  submitOAuth(result) {
+    if (!this.formio) {
+      this.onSubmissionError(new Formio.Error('OAuth buttons require a form which is loaded from a url.'));
+      return Promise.resolve();
+    }
+    let oauth = {};
+    oauth[result.provider] = {
+      code: result.code,
+      state: result.state,
+      redirectURI: result.redirectURI
+    };
+    let submission = _assign({}, this.submission, {oauth: oauth});
+    this.loading = true;
+    return this.formio.client.login(this.formio, submission)
+      .then(
+        (user) => this.onSubmit(user, true),
+        (err) => this.onSubmissionError(err)
+      );
+  }
+
   /**
    * Submits the form.
    *
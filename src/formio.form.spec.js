@@ -1,5 +1,6 @@
 'use strict';
 import FormioForm from './formio.form';
+import Formio from './formio';
 import { Harness } from '../test/harness';
 import { FormTests } from '../test/forms/index';
 import assert from 'power-assert';
@@ -39,6 +40,157 @@ describe('Formio Form Renderer tests', () => {
     }});
   });
 
+  it('Should only authenticate with the login and register auth options', (done) => {
+    let form = new FormioForm(document.createElement('div'), {auth: 'logout'});
+    form.setForm({
+      title: 'Auth Option',
+      components: [{type: 'textfield', key: 'name', label: 'Name', input: true}]
+    })
+      .then(() => {
+        form.formio = new Formio(Formio.getBaseUrl() + '/authoption');
+        form.formio.client = {logout: () => done(new Error('The client should not be called'))};
+        form.on('error', (errors) => {
+          assert.equal(errors[0].message, 'The auth option must be "login" or "register"');
+          done();
+        });
+        return form.submit();
+      })
+      .catch(done);
+  });
+
+  it('Should show server validation errors on their components', (done) => {
+    let form = new FormioForm(document.createElement('div'));
+    form.setForm({
+      title: 'Server Errors',
+      components: [
+        {type: 'textfield', key: 'name', label: 'Name', input: true},
+        {
+          type: 'container',
+          key: 'address',
+          input: true,
+          components: [{type: 'textfield', key: 'city', label: 'City', input: true}]
+        },
+        {
+          type: 'datagrid',
+          key: 'items',
+          input: true,
+          components: [{type: 'textfield', key: 'item', label: 'Item', input: true}]
+        }
+      ]
+    })
+      .then(() => form.setSubmission({data: {name: 'Joe', address: {city: ''}, items: [{item: 'a'}, {item: 'b'}]}}))
+      .then(() => {
+        let errors = null;
+        form.on('error', (err) => (errors = err));
+        form.onSubmissionError(new Formio.ValidationError('Invalid', {details: [
+          {message: 'Name is taken', path: 'name'},
+          {message: 'City is required', path: ['address', 'city']},
+          {message: 'Item is invalid', path: 'items[1].item'},
+          {message: 'Something else', path: 'unknown'}
+        ]}));
+        let item = form.getComponent('items').rows[1].item;
+        assert.equal(form.getComponent('name').error.message, 'Name is taken');
+        assert.equal(form.getComponent('address').getComponent('city').error.message, 'City is required');
+        assert.equal(item.error.message, 'Item is invalid');
+        assert.ok(!form.getComponent('items').rows[0].item.error, 'Other rows should be valid');
+        assert.deepEqual(errors.map((err) => err.message), [
+          'Name is taken',
+          'City is required',
+          'Item is invalid',
+          'Something else'
+        ]);
+        Harness.testElements(form, '.has-error', 3);
+
+        // Keep the errors until the values change.
+        assert.ok(!form.getComponent('name').checkValidity(form.data, true));
+        form.getComponent('name').onChange();
+        assert.ok(form.getComponent('name').checkValidity(form.data, true));
+        assert.ok(!form.getComponent('name').error, 'The error should be cleared');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should disable the form when the user may not submit it', (done) => {
+    let formElement = document.createElement('div');
+    let form = new FormioForm(formElement);
+    form.url = Formio.getBaseUrl() + '/permissions';
+    form.formio.userPermissions = () => Promise.resolve({create: false, read: false, edit: false, delete: false});
+    form.setForm({
+      components: [
+        {type: 'textfield', key: 'name', label: 'Name', input: true},
+        {type: 'button', key: 'submit', action: 'submit', label: 'Submit', input: true}
+      ]
+    })
+      .then(() => form.checkPermissions())
+      .then((permissions) => {
+        assert.equal(permissions.create, false);
+        assert.equal(form.permissions, permissions);
+        assert.ok(form.getComponent('name').disabled, 'The inputs should be disabled');
+        Harness.testElements(form, '.alert-warning', 1);
+        Harness.testElements(form, 'input[disabled]', 1);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should render the form revision the submission was created with', (done) => {
+    let formElement = document.createElement('div');
+    let form = new FormioForm(formElement, {formRevision: 'submission'});
+    let queries = [];
+    form.url = Formio.getBaseUrl() + '/revisions/submission/revisionsubmission';
+    form.formio.loadSubmission = () => Promise.resolve({_id: 'revisionsubmission', _fvid: 2, data: {}});
+    form.formio.loadForm = (query) => {
+      queries.push(query);
+      return Promise.resolve({_vid: query.revision, components: []});
+    };
+    form.loadForm()
+      .then((loaded) => {
+        assert.equal(loaded._vid, 2);
+        assert.deepEqual(queries, [{revision: 2}]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should let the application merge conflicting changes', (done) => {
+    let formElement = document.createElement('div');
+    let conflicts = [];
+    let form = new FormioForm(formElement, {
+      patch: true,
+      onConflict: (conflict) => ({
+        _id: 'ticket1',
+        modified: conflict.current.modified,
+        data: {status: conflict.current.data.status, comment: conflict.data.data.comment}
+      })
+    });
+    let saves = [];
+    form.url = Formio.getBaseUrl() + '/ticket/submission/ticket1';
+    form.original = {_id: 'ticket1', modified: '2017-01-01T00:00:00.000Z', data: {status: 'open', comment: ''}};
+    form.formio.saveSubmission = (submission, opts) => {
+      saves.push({submission: submission, opts: opts});
+      if (saves.length === 1) {
+        let conflict = new Formio.ConflictError('Conflict', {status: 412});
+        conflict.original = opts.original;
+        conflict.data = submission;
+        conflict.current = {_id: 'ticket1', modified: '2017-01-02T00:00:00.000Z', data: {status: 'closed', comment: ''}};
+        return Promise.reject(conflict);
+      }
+      return Promise.resolve(submission);
+    };
+    form.on('submitConflict', (conflict) => conflicts.push(conflict));
+    form.saveSubmission({_id: 'ticket1', data: {status: 'open', comment: 'Please check again'}})
+      .then((saved) => {
+        assert.equal(conflicts.length, 1);
+        assert.deepEqual(saved.data, {status: 'closed', comment: 'Please check again'});
+        assert.equal(saves[0].opts.original.modified, '2017-01-01T00:00:00.000Z');
+        assert.equal(saves[0].opts.patch, true);
+        assert.equal(saves[1].opts.original.modified, '2017-01-02T00:00:00.000Z');
+        done();
+      })
+      .catch(done);
+  });
+
   each(FormTests, (formTest) => {
     each(formTest.tests, (formTestTest, title) => {
       it(title, (done) => {
@@ -29,13 +29,17 @@ Formio.formFactory = (element, form, options) => {
  *
  * @param element {HMTLElement} - The HTML Element to add this form to.
  * @param form {string|Object} - The src of the form, or a form object.
- * @param options {Object} - The options to create this form.
+ * @param options {Object} - The options to create this form. Provide options.client to load the form with a client
+ *   created by Formio.createClient, and options.plugins for plugins which only apply to the requests of this form.
  *
  * @return {Promise} - When the form is instance is ready.
  */
 Formio.createForm = (element, form, options) => {
   if (typeof form === 'string') {
-    return (new Formio(form)).loadForm().then((formObj) => {
+    return (new Formio(form, {
+      client: options && options.client,
+      plugins: options && options.plugins
+    })).loadForm().then((formObj) => {
       let instance = Formio.formFactory(element, formObj, options);
       instance.url = form;
       instance.nosubmit = false;
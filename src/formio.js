@@ -7,6 +7,801 @@ var Promise = require("native-promise-only");
 require('whatwg-fetch');
 var EventEmitter = require('eventemitter2').EventEmitter2;
 var copy = require('shallow-copy');
+var FormioQuery = require('./formio.query');
+var FormioError = require('./formio.error');
+var FormioPatch = require('./formio.patch');
+var FormioSubscription = require('./formio.subscription');
+
+/**
+ * The default retry configuration used when opts.retry is provided.
+ */
+var retryDefaults = {
+  count: 0,
+  delay: 1000,
+  maxDelay: 30000,
+  backoff: 'exponential',
+  statuses: [502, 503, 504],
+  networkErrors: true
+};
+
+/**
+ * Normalize the opts.retry option which may be a number of retries or a configuration object.
+ */
+var getRetryOptions = function(retry) {
+  var options = {};
+  if (typeof retry === 'number') {
+    retry = {count: retry};
+  }
+  retry = (retry && typeof retry === 'object') ? retry : {};
+  for (var key in retryDefaults) {
+    if (retryDefaults.hasOwnProperty(key)) {
+      options[key] = retry.hasOwnProperty(key) ? retry[key] : retryDefaults[key];
+    }
+  }
+  return options;
+};
+
+/**
+ * Returns the number of milliseconds to wait before the provided retry attempt.
+ */
+var getRetryDelay = function(retry, attempt, err) {
+  var delay = retry.delay;
+  if (typeof retry.backoff === 'function') {
+    delay = retry.backoff(attempt, err);
+  }
+  else if (retry.backoff === 'linear') {
+    delay = retry.delay * attempt;
+  }
+  else if (retry.backoff === 'exponential') {
+    delay = retry.delay * Math.pow(2, attempt - 1);
+  }
+  return Math.min(delay, retry.maxDelay);
+};
+
+/**
+ * Creates the error that a cancelled request rejects with.
+ */
+var cancelError = function(signal) {
+  var reason = signal ? signal.reason : null;
+  if (reason && (typeof reason === 'object')) {
+    reason = (reason.name === 'AbortError') ? null : reason.message;
+  }
+  return new FormioError.CancelError(reason || 'Request cancelled');
+};
+
+/**
+ * Joins a request which is shared by identical GET requests. Cancelling a caller only rejects its own promise,
+ * and the shared request is aborted once all of its callers cancelled.
+ */
+var joinRequest = function(pending, signal, remove) {
+  if (!signal) {
+    return pending.promise;
+  }
+  return new Promise(function(resolve, reject) {
+    var onAbort = function() {
+      signal.removeEventListener('abort', onAbort);
+      reject(cancelError(signal));
+      pending.callers--;
+      if (!pending.callers) {
+        remove();
+        pending.cancel();
+      }
+    };
+    if (signal.aborted) {
+      return onAbort();
+    }
+    signal.addEventListener('abort', onAbort);
+    pending.promise.then(function(result) {
+      signal.removeEventListener('abort', onAbort);
+      resolve(result);
+    }, function(err) {
+      signal.removeEventListener('abort', onAbort);
+      reject(err);
+    });
+  });
+};
+
+/**
+ * Wraps a promise so that it rejects when the signal is aborted or the timeout elapses.
+ */
+var guardPromise = function(promise, signal, timeout) {
+  if (!signal && !timeout) {
+    return promise;
+  }
+  return new Promise(function(resolve, reject) {
+    var timer = null;
+    var onAbort = function() {
+      reject(cancelError(signal));
+    };
+    var cleanup = function() {
+      if (timer) {
+        clearTimeout(timer);
+      }
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+    if (signal) {
+      if (signal.aborted) {
+        return onAbort();
+      }
+      signal.addEventListener('abort', onAbort);
+    }
+    if (timeout) {
+      timer = setTimeout(function() {
+        reject(new FormioError.TimeoutError('Request timed out after ' + timeout + 'ms'));
+      }, timeout);
+    }
+    promise.then(function(result) {
+      cleanup();
+      resolve(result);
+    }, function(err) {
+      cleanup();
+      reject(err);
+    });
+  });
+};
+
+/**
+ * Waits the provided number of milliseconds unless the signal is aborted first.
+ */
+var wait = function(delay, signal) {
+  return guardPromise(new Promise(function(resolve) {
+    setTimeout(resolve, delay);
+  }), signal);
+};
+
+/**
+ * Decodes base64 with atob, or with Buffer under Node.js versions which do not provide atob.
+ */
+var decodeBase64 = function(value) {
+  if (typeof atob === 'function') {
+    return atob(value);
+  }
+  return global.Buffer.from(value, 'base64').toString('binary');
+};
+
+/**
+ * Decodes the payload of a JSON Web Token.
+ */
+var decodeToken = function(token) {
+  try {
+    var payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    while (payload.length % 4) {
+      payload += '=';
+    }
+    return JSON.parse(decodeURIComponent(decodeBase64(payload).split('').map(function(char) {
+      return '%' + ('00' + char.charCodeAt(0).toString(16)).slice(-2);
+    }).join('')));
+  }
+  catch (err) {
+    return null;
+  }
+};
+
+/**
+ * The default token refresh configuration of every client.
+ */
+var tokenRefreshDefaults = {
+  url: '',
+  method: 'GET',
+  expiringIn: 60000,
+  auto: false,
+  retry: false
+};
+
+/**
+ * Emits formio.tokenExpiring, and refreshes the token when configured, shortly before the token of
+ * a client expires.
+ */
+var scheduleTokenExpiring = function(client, token) {
+  if (client.tokenTimer) {
+    clearTimeout(client.tokenTimer);
+    client.tokenTimer = null;
+  }
+  var expires = client.getTokenExpiration(token);
+  if (!expires || (expires.getTime() <= Date.now())) {
+    return;
+  }
+  var delay = expires.getTime() - client.tokenRefresh.expiringIn - Date.now();
+  if (delay > 0) {
+    // Timers overflow after 2^31 - 1 milliseconds, so long lived tokens are checked again later.
+    client.tokenTimer = setTimeout(function() {
+      scheduleTokenExpiring(client, token);
+    }, Math.min(delay, 2147483647));
+    if (client.tokenTimer.unref) {
+      client.tokenTimer.unref();
+    }
+    return;
+  }
+  client.events.emit('formio.tokenExpiring', {token: token, expires: expires});
+  if (client.tokenRefresh.auto) {
+    client.refreshToken().catch(Formio.noop);
+  }
+};
+
+/**
+ * The channel and serialized user which keep the session of every open tab in sync.
+ */
+var sessionChannel = null;
+var sessionUser = null;
+
+/**
+ * Tells the other tabs that the token or user of the default client has changed.
+ */
+var broadcastSession = function(key, value) {
+  if (!sessionChannel) {
+    return;
+  }
+  try {
+    sessionChannel.postMessage({key: authKey(Formio, key), value: value});
+  }
+  catch (err) {
+    // Do nothing.
+  }
+};
+
+/**
+ * Applies a token or user change made within another tab.
+ */
+var onSessionChange = function(key, value) {
+  if (key === authKey(Formio, 'formioToken')) {
+    value = value || '';
+    if (value === (Formio.token || '')) {
+      return;
+    }
+    Formio.token = value;
+    try {
+      if (value) {
+        Formio.authStorage.setItem(key, value);
+      }
+      else {
+        Formio.authStorage.removeItem(key);
+      }
+    }
+    catch (err) {
+      // Do nothing.
+    }
+    scheduleTokenExpiring(Formio, value);
+    Formio.clearCache();
+    if (!value) {
+      Formio.events.emit('formio.logout');
+    }
+  }
+  else if (key === authKey(Formio, 'formioUser')) {
+    value = value || null;
+    if (value === sessionUser) {
+      return;
+    }
+    sessionUser = value;
+    var user = null;
+    try {
+      if (value) {
+        Formio.authStorage.setItem(key, value);
+        user = JSON.parse(value);
+      }
+      else {
+        Formio.authStorage.removeItem(key);
+      }
+    }
+    catch (err) {
+      // Do nothing.
+    }
+    Formio.events.emit('formio.user', user);
+  }
+};
+
+var onStorage = function(event) {
+  // A null key means the storage of the other tab was cleared.
+  if (!event.key) {
+    onSessionChange(authKey(Formio, 'formioToken'), null);
+    onSessionChange(authKey(Formio, 'formioUser'), null);
+    return;
+  }
+  onSessionChange(event.key, event.newValue);
+};
+
+/**
+ * Returns the auth storage key of a client, prefixed with the namespace provided to setAuthStorage.
+ */
+var authKey = function(client, key) {
+  return client.authNamespace ? (client.authNamespace + '.' + key) : key;
+};
+
+/**
+ * Returns the client a static method was called on. Static methods called on Formio, or detached
+ * from it, use the default client which is the Formio class itself.
+ */
+var getClient = function(context) {
+  return (context instanceof FormioClient) ? context : Formio;
+};
+
+/**
+ * Adds the skip and limit of a page to an index query, which is a query string, {params} or a FormioQuery.
+ */
+var getPageQuery = function(query, skip, limit) {
+  if (query instanceof FormioQuery) {
+    return query.clone().limit(limit).skip(skip);
+  }
+  if (query && (typeof query === 'object')) {
+    var params = copy(query.params || {});
+    params.limit = limit;
+    params.skip = skip;
+    return {params: params};
+  }
+  query = (query || '').replace(/^\?/, '').split('&').filter(function(param) {
+    return param && !/^(limit|skip)=/.test(param);
+  });
+  query.push('limit=' + limit, 'skip=' + skip);
+  return '?' + query.join('&');
+};
+
+/**
+ * Creates an iterator which loads one page after another. Each call to next() resolves with the next
+ * page, requesting up to "prefetch" pages ahead once the total is known from the content-range header.
+ */
+var createPageIterator = function(loadPage, pageSize, prefetch) {
+  var pages = [];
+  var nextSkip = 0;
+  var total = null;
+  var finished = false;
+
+  // Request the next page along with any prefetched pages, without going past the known total.
+  var fill = function() {
+    while ((pages.length < (prefetch + 1)) && ((total === null) ? !pages.length : (nextSkip < total))) {
+      var skip = nextSkip;
+      nextSkip += pageSize;
+      pages.push(loadPage(skip, pageSize).then(function(page) {
+        if (typeof page.serverCount === 'number') {
+          total = page.serverCount;
+        }
+        return page;
+      }));
+    }
+  };
+
+  var iterator = {
+    next: function() {
+      if (!finished) {
+        fill();
+      }
+      if (finished || !pages.length) {
+        finished = true;
+        return Promise.resolve({value: undefined, done: true});
+      }
+      var skip = nextSkip - (pages.length * pageSize);
+      return pages.shift().then(function(page) {
+        if (!page.length) {
+          finished = true;
+          return {value: undefined, done: true};
+        }
+        if ((total !== null) ? ((skip + page.length) >= total) : (page.length < pageSize)) {
+          finished = true;
+          pages = [];
+        }
+        return {value: page, done: false};
+      }, function(err) {
+        finished = true;
+        pages = [];
+        throw err;
+      });
+    },
+
+    /**
+     * Stops the iteration. Prefetched pages are discarded.
+     */
+    return: function() {
+      finished = true;
+      pages = [];
+      return Promise.resolve({value: undefined, done: true});
+    },
+
+    /**
+     * Calls fn with every page until all pages are loaded or fn returns false.
+     *
+     * @param {function} fn - Called with each page. May return a promise.
+     * @returns {Promise}
+     */
+    eachPage: function(fn) {
+      var step = function() {
+        return iterator.next().then(function(result) {
+          if (result.done) {
+            return;
+          }
+          return Promise.resolve(fn(result.value)).then(function(response) {
+            return (response === false) ? iterator.return() : step();
+          });
+        });
+      };
+      return step();
+    }
+  };
+
+  // Allow for await...of where async iteration is supported.
+  if ((typeof Symbol !== 'undefined') && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function() {
+      return iterator;
+    };
+  }
+  return iterator;
+};
+
+/**
+ * Runs the worker for every item, with at most "concurrency" workers in flight. Resolves with one
+ * result per item, in the order of the items, once every worker has settled. A failing item never
+ * stops the batch; its error is reported in its result instead.
+ */
+var runBatch = function(items, concurrency, worker, progress) {
+  var results = new Array(items.length);
+  var nextIndex = 0;
+  var completed = 0;
+  var run = function() {
+    if (nextIndex >= items.length) {
+      return Promise.resolve();
+    }
+    var index = nextIndex++;
+    return Promise.resolve()
+      .then(function() {
+        return worker(items[index], index);
+      })
+      .then(function(result) {
+        return {index: index, success: true, result: result};
+      }, function(err) {
+        return {index: index, success: false, error: err};
+      })
+      .then(function(result) {
+        results[index] = result;
+        completed++;
+        if (typeof progress === 'function') {
+          progress({completed: completed, total: items.length, result: result});
+        }
+        return run();
+      });
+  };
+  var runners = [];
+  for (var i = 0; i < Math.min(Math.max(concurrency || 1, 1), items.length); i++) {
+    runners.push(run());
+  }
+  return Promise.all(runners).then(function() {
+    return results;
+  });
+};
+
+/**
+ * Orders plugins by their priority, highest first, and then by the order they were registered in.
+ * A plugin may also list the names of plugins it must run before or after within its "before" and
+ * "after" properties, which take precedence over the priority.
+ */
+var pluginSequence = 0;
+var sortPlugins = function(plugins) {
+  var names = function(value) {
+    return value ? [].concat(value) : [];
+  };
+  var mustPrecede = function(a, b) {
+    return (!!b.__name && (names(a.before).indexOf(b.__name) !== -1)) ||
+      (!!a.__name && (names(b.after).indexOf(a.__name) !== -1));
+  };
+  var remaining = plugins.slice().sort(function(a, b) {
+    return ((b.priority || 0) - (a.priority || 0)) || ((a.__order || 0) - (b.__order || 0));
+  });
+  var sorted = [];
+  while (remaining.length) {
+    // Take the first plugin which none of the remaining plugins must precede.
+    var index = 0;
+    while ((index < remaining.length) && remaining.some(function(plugin) {
+      return (plugin !== remaining[index]) && mustPrecede(plugin, remaining[index]);
+    })) {
+      index++;
+    }
+    if (index === remaining.length) {
+      console.warn('The before and after constraints of the plugins contain a cycle.');
+      index = 0;
+    }
+    sorted.push(remaining.splice(index, 1)[0]);
+  }
+  return sorted;
+};
+
+/**
+ * Returns the plugins with the plugin added in its place.
+ */
+var addPlugin = function(plugins, plugin, name) {
+  plugin.__name = name;
+  plugin.__order = ++pluginSequence;
+  return sortPlugins(plugins.concat([plugin]));
+};
+
+/**
+ * Calls a hook of every plugin at once and waits for all of them.
+ */
+var callPluginWait = function(plugins, pluginFn, args) {
+  return Promise.all(plugins.map(function(plugin) {
+    return (plugin[pluginFn] || Formio.noop).apply(plugin, args);
+  }));
+};
+
+/**
+ * Calls a hook of one plugin after the other until one of them returns a value.
+ */
+var callPluginGet = function(plugins, pluginFn, args) {
+  var callPlugin = function(index) {
+    var plugin = plugins[index];
+    if (!plugin) return Promise.resolve(null);
+    return Promise.resolve((plugin[pluginFn] || Formio.noop).apply(plugin, args))
+      .then(function(result) {
+        if (result !== null && result !== undefined) return result;
+        return callPlugin(index + 1);
+      });
+  };
+  return callPlugin(0);
+};
+
+/**
+ * Passes a value through a hook of every plugin.
+ */
+var callPluginAlter = function(plugins, pluginFn, value, args) {
+  return plugins.reduce(function(value, plugin) {
+    return (plugin[pluginFn] || Formio.identity).apply(plugin, [value].concat(args));
+  }, value);
+};
+
+/**
+ * Passes a value through a hook of every plugin, waiting for each hook which returns a promise.
+ */
+var callPluginAlterAsync = function(plugins, pluginFn, value, args) {
+  return plugins.reduce(function(promise, plugin) {
+    if (!plugin[pluginFn]) {
+      return promise;
+    }
+    return promise.then(function(value) {
+      return plugin[pluginFn].apply(plugin, [value].concat(args));
+    });
+  }, Promise.resolve(value));
+};
+
+/**
+ * Lets the responseAlter and responseErrorAlter hooks transform the result or error of a request.
+ */
+var alterResponse = function(scope, request, requestArgs) {
+  return request.then(function(result) {
+    return scope.pluginAlterAsync('responseAlter', result, requestArgs);
+  }, function(err) {
+    return scope.pluginAlterAsync('responseErrorAlter', err, requestArgs).then(function(err) {
+      throw err;
+    });
+  });
+};
+
+/**
+ * Returns the value of a cache entry, restoring the paging metadata of arrays which is lost
+ * when persistent caches serialize the entry.
+ */
+var getCacheValue = function(entry) {
+  var value = entry.value;
+  if (Array.isArray(value) && entry.range) {
+    value.skip = entry.range.skip;
+    value.limit = entry.range.limit;
+    value.serverCount = entry.range.serverCount;
+  }
+  return value;
+};
+
+/**
+ * Returns the headers of a response as an object.
+ */
+var getResponseHeaders = function(response) {
+  var headers = {};
+  response.headers.forEach(function(item, key) {
+    headers[key] = item;
+  });
+  return headers;
+};
+
+/**
+ * Returns the Formio instance of an authentication form, which is provided as a Formio instance, the url of
+ * the form or its path within the project of the client.
+ */
+var getAuthForm = function(client, form) {
+  if (form instanceof Formio) {
+    return form;
+  }
+  var url = /^https?:\/\//.test(form) ? form : (client.getProjectUrl() + '/' + form.replace(/^\//, ''));
+  return new Formio(url, {client: client});
+};
+
+/**
+ * Returns the submission of authentication data, which may either be the data or a submission.
+ */
+var getAuthSubmission = function(data) {
+  return (data && data.data) ? data : {data: data || {}};
+};
+
+/**
+ * Submits an authentication form, then stores the user of the token returned by the server and emits the event.
+ */
+var authenticate = function(client, form, data, event) {
+  var formio = getAuthForm(client, form);
+  client = formio.client;
+  var token = client.getToken();
+  return formio.saveSubmission(getAuthSubmission(data), {noToken: true, storeToken: false, getHeaders: true})
+    .then(function(response) {
+      var user = response.result;
+      var newToken = response.headers['x-jwt-token'];
+      if (newToken && (newToken !== token)) {
+        // Store the user first, so that setToken does not request the user from the server.
+        client.setUser(user);
+        client.setToken(newToken);
+      }
+      client.events.emit(event, user);
+      return user;
+    });
+};
+
+/**
+ * Returns the token of a password reset link, which is provided as the x-jwt-token query parameter.
+ */
+var getUrlToken = function() {
+  if ((typeof window === 'undefined') || !window.location) {
+    return '';
+  }
+  var match = (window.location.search || '').match(/[?&]x-jwt-token=([^&]+)/);
+  return match ? decodeURIComponent(match[1]) : '';
+};
+
+/**
+ * Returns the properties of the original version of an entity which also exist in its changed version, so that
+ * a patch does not remove the properties the changed version omits, such as its metadata.
+ */
+var getPatchSource = function(original, data) {
+  var source = {};
+  Object.keys(data).forEach(function(key) {
+    if (original.hasOwnProperty(key)) {
+      source[key] = original[key];
+    }
+  });
+  return source;
+};
+
+/**
+ * Returns the role ids of a user. Anonymous users have the default roles of the project.
+ */
+var getUserRoles = function(user, projectRoles) {
+  var roles = (user && user._id && user.roles) ? user.roles.slice() : [];
+  if (!user || !user._id) {
+    Object.keys(projectRoles).forEach(function(name) {
+      var role = projectRoles[name];
+      if (role.default && (roles.indexOf(role._id) === -1)) {
+        roles.push(role._id);
+      }
+    });
+  }
+  return roles;
+};
+
+/**
+ * Returns the permissions an access array, such as the submissionAccess of a form, grants to roles. The access
+ * types are mapped to permissions by their prefix, and "own" access types only apply when the user owns the entity.
+ */
+var getAccessPermissions = function(accessList, roles, isOwner) {
+  var types = {create: 'create', read: 'read', update: 'edit', delete: 'delete'};
+  var permissions = {};
+  (accessList || []).forEach(function(access) {
+    var parts = (access.type || '').split('_');
+    var permission = types[parts[0]];
+    if (!permission || ((parts[1] === 'own') && !isOwner)) {
+      return;
+    }
+    var granted = (access.roles || []).some(function(role) {
+      return roles.indexOf(role) !== -1;
+    });
+    if (granted) {
+      permissions[permission] = true;
+    }
+  });
+  return permissions;
+};
+
+/**
+ * Evaluates the permissions of a user on a form and submission, as the server would.
+ */
+var getPermissions = function(access, user, form, submission) {
+  var projectRoles = (access && access.roles) || {};
+  form = form || {};
+  var userId = (user && user._id) || '';
+  var roles = getUserRoles(user, projectRoles);
+  var admin = Object.keys(projectRoles).some(function(name) {
+    var role = projectRoles[name];
+    return role.admin && (roles.indexOf(role._id) !== -1);
+  });
+  var all = admin || !!(userId && (form.owner === userId));
+  var newSubmission = !submission || !submission._id;
+  var formPermissions = getAccessPermissions(form.access, roles, !!userId && (form.owner === userId));
+  var permissions = getAccessPermissions(
+    form.submissionAccess,
+    roles,
+    newSubmission || !!(userId && (submission.owner === userId))
+  );
+
+  // Submissions may also grant access to users and roles with their own access array.
+  if (!newSubmission) {
+    (submission.access || []).forEach(function(access) {
+      var granted = (access.resources || []).some(function(resource) {
+        return (resource === userId) || (roles.indexOf(resource) !== -1);
+      });
+      if (!granted) {
+        return;
+      }
+      permissions.read = true;
+      if ((access.type === 'write') || (access.type === 'admin')) {
+        permissions.edit = true;
+      }
+      if (access.type === 'admin') {
+        permissions.delete = true;
+      }
+    });
+  }
+
+  return {
+    user: user || null,
+    roles: roles,
+    admin: admin,
+    form: {
+      read: all || !!formPermissions.read,
+      edit: all || !!formPermissions.edit,
+      delete: all || !!formPermissions.delete
+    },
+    create: all || !!permissions.create,
+    read: all || !!permissions.read,
+    edit: all || !!permissions.edit,
+    delete: all || !!permissions.delete
+  };
+};
+
+/**
+ * Returns the fetch implementation used for requests, which is either the one provided to
+ * Formio.setFetch or the global fetch.
+ */
+var getFetch = function() {
+  return Formio.fetch || fetch;
+};
+
+/**
+ * Creates the headers of a request using the Headers implementation provided to Formio.setFetch
+ * or the global Headers.
+ */
+var createHeaders = function(init) {
+  var HeadersClass = Formio.Headers || Headers;
+  return new HeadersClass(init);
+};
+
+/**
+ * Performs the fetch, retrying network errors and retryable status codes per opts.retry.
+ */
+var fetchWithRetry = function(url, options, opts) {
+  var retry = getRetryOptions(opts.retry);
+  var attempt = function(count) {
+    return guardPromise(getFetch()(url, options), opts.signal, opts.timeout)
+      .then(function(response) {
+        if (!response.ok && (count < retry.count) && (retry.statuses.indexOf(response.status) !== -1)) {
+          return wait(getRetryDelay(retry, count + 1, response), opts.signal).then(function() {
+            return attempt(count + 1);
+          });
+        }
+        return response;
+      }, function(err) {
+        if (err && (err.name === 'AbortError')) {
+          throw cancelError(opts.signal);
+        }
+        if (err && !err.cancelled && retry.networkErrors && (count < retry.count)) {
+          return wait(getRetryDelay(retry, count + 1, err), opts.signal).then(function() {
+            return attempt(count + 1);
+          });
+        }
+        throw err;
+      });
+  };
+  return attempt(0);
+};
 
 /**
  * The Formio interface class.
@@ -14,9 +809,33 @@ var copy = require('shallow-copy');
  *   let formio = new Formio('https://examples.form.io/example');
  */
 export class Formio {
+  /**
+   * Creates a new Formio instance for a project, form or submission url.
+   *
+   * @param {string} path - The url of the project, form or submission.
+   * @param {Object} options - The options of this instance.
+   * @param {string} options.base - The base url of the API. Defaults to the base url of the client.
+   * @param {string} options.project - The url of the project.
+   * @param {FormioClient} options.client - The client which owns the base url, token, cache and plugins used
+   *   by this instance. Defaults to the static Formio API.
+   * @param {Array} options.plugins - Plugins which only apply to the requests of this instance.
+   */
   constructor(path, options = {}) {
     // Ensure we have an instance of Formio.
-    if (!(this instanceof Formio)) { return new Formio(path); }
+    if (!(this instanceof Formio)) { return new Formio(path, options); }
+
+    /**
+     * The client which owns the base url, token, cache and plugins used by this instance.
+     * @type {FormioClient|Formio}
+     */
+    this.client = options.client || Formio;
+
+    /**
+     * The plugins which only apply to the requests of this instance.
+     * @type {Array}
+     */
+    this.plugins = [];
+    (options.plugins || []).forEach((plugin) => this.registerPlugin(plugin));
 
     // Initialize our variables.
     this.base = '';
@@ -37,12 +856,15 @@ export class Formio {
     if (options.hasOwnProperty('base')) {
       this.base = options.base;
     }
-    else if (Formio.baseUrl) {
-      this.base = Formio.baseUrl;
+    else if (this.client.baseUrl) {
+      this.base = this.client.baseUrl;
     }
-    else {
+    else if (typeof window !== 'undefined') {
       this.base = window.location.href.match(/http[s]?:\/\/api./)[0];
     }
+    else {
+      this.base = '';
+    }
 
     if (!path) {
       // Allow user to create new projects if this was instantiated without
@@ -58,7 +880,7 @@ export class Formio {
       this.projectUrl = options.project;
     }
 
-    let project = this.projectUrl || Formio.projectUrl;
+    let project = this.projectUrl || this.client.projectUrl;
 
     // The baseURL is the same as the projectUrl. This is almost certainly against
     // the Open Source server.
@@ -168,28 +990,57 @@ export class Formio {
     }
 
     // Set the app url if it is not set.
-    if (!Formio.projectUrlSet) {
-      Formio.projectUrl = this.projectUrl;
+    if (!this.client.projectUrlSet) {
+      this.client.projectUrl = this.projectUrl;
     }
   }
 
   delete(type, opts) {
     var _id = type + 'Id';
     var _url = type + 'Url';
-    if (!this[_id]) { Promise.reject('Nothing to delete'); }
-    Formio.cache = {};
+    if (!this[_id]) { return Promise.reject(new FormioError('Nothing to delete')); }
+    this.invalidateCache(type);
     return this.makeRequest(type, this[_url], 'delete', null, opts);
   }
 
   index(type, query, opts) {
     var _url = type + 'Url';
     query = query || '';
-    if (query && typeof query === 'object') {
+    if (query instanceof FormioQuery) {
+      query = '?' + query.toString();
+    }
+    else if (query && typeof query === 'object') {
       query = '?' + Formio.serialize(query.params);
     }
     return this.makeRequest(type, this[_url] + query, 'get', null, opts);
   }
 
+  /**
+   * Creates or updates an entity. Updates may provide the version of the entity they were made to, in which case
+   * the server rejects them with a Formio.ConflictError if someone else changed the entity in the meantime.
+   *
+   * @example
+   * formio.loadSubmission().then((original) => {
+   *   let submission = _.cloneDeep(original);
+   *   submission.data.status = 'closed';
+   *   return formio.saveSubmission(submission, {original: original, patch: true});
+   * }).catch((err) => {
+   *   if (err instanceof Formio.ConflictError) {
+   *     console.log('Someone else changed the submission to', err.current);
+   *   }
+   * });
+   *
+   * @param {string} type - The type of entity, such as "form" or "submission".
+   * @param {Object} data - The entity.
+   * @param {Object} opts - The request options.
+   * @param {Object} opts.original - The version of the entity that was loaded. Its modified timestamp is sent as the
+   *   If-Unmodified-Since precondition of the update.
+   * @param {string} opts.etag - The ETag of the loaded version, sent as the If-Match precondition of the update.
+   * @param {boolean} opts.patch - Set to true to send the JSON-Patch operations from the original to the data with
+   *   PATCH instead of replacing the entity with PUT. Properties missing from the data are left unchanged.
+   * @returns {Promise.<Object>} - The saved entity. A Formio.ConflictError provides the original, local data and
+   *   current versions of the entity.
+   */
   save(type, data, opts) {
     var _id = type + 'Id';
     var _url = type + 'Url';
@@ -198,14 +1049,73 @@ export class Formio {
     if (!this[_id] && data._id && (method === 'put') && (reqUrl.indexOf(data._id) === -1)) {
       reqUrl += '/' + data._id;
     }
-    Formio.cache = {};
-    return this.makeRequest(type, reqUrl + this.query, method, data, opts);
+    this.invalidateCache(type);
+    var original = (opts && opts.original) || null;
+    if ((method !== 'put') || (!original && !(opts && opts.etag))) {
+      return this.makeRequest(type, reqUrl + this.query, method, data, opts);
+    }
+
+    var body = data;
+    opts = copy(opts);
+    opts.header = createHeaders(opts.header || {
+      'Accept': 'application/json',
+      'Content-type': 'application/json; charset=UTF-8'
+    });
+    if (opts.etag) {
+      opts.header.set('If-Match', opts.etag);
+    }
+    else if (original.modified) {
+      opts.header.set('If-Unmodified-Since', new Date(original.modified).toUTCString());
+    }
+    if (opts.patch && original) {
+      method = 'patch';
+      body = FormioPatch.createPatch(getPatchSource(original, data), data);
+      opts.header.set('Content-type', 'application/json-patch+json; charset=UTF-8');
+    }
+    return this.makeRequest(type, reqUrl + this.query, method, body, opts).catch((err) => {
+      if (!(err instanceof FormioError.ConflictError)) {
+        throw err;
+      }
+      err.original = original;
+      err.data = data;
+      return this.makeRequest(type, reqUrl + this.query, 'get', null, {cachePolicy: 'network-only'}).then(
+        (current) => {
+          err.current = current;
+          throw err;
+        },
+        () => {
+          throw err;
+        }
+      );
+    });
+  }
+
+  /**
+   * Removes the cached responses affected by a change to the provided type.
+   *
+   * @param {string} type - The type of entity that changed, such as "form" or "submission".
+   * @returns {Promise}
+   */
+  invalidateCache(type) {
+    var urls = [this[type + 'sUrl'], this[type + 'Url']].filter(function(url) {
+      return !!url;
+    });
+    return Promise.all(urls.map((url) => {
+      return this.client.invalidateCache(url);
+    }));
   }
 
   load(type, query, opts) {
     var _id = type + 'Id';
     var _url = type + 'Url';
-    if (query && typeof query === 'object') {
+    var revision = '';
+    if (query instanceof FormioQuery) {
+      query = query.toString();
+    }
+    else if (query && typeof query === 'object') {
+      if ((query.revision !== undefined) && (query.revision !== null) && (query.revision !== '')) {
+        revision = '/v/' + encodeURIComponent(query.revision);
+      }
       query = Formio.serialize(query.params);
     }
     if (query) {
@@ -214,8 +1124,33 @@ export class Formio {
     else {
       query = this.query;
     }
-    if (!this[_id]) { return Promise.reject('Missing ' + _id); }
-    return this.makeRequest(type, this[_url] + query, 'get', null, opts);
+    if (!this[_id]) { return Promise.reject(new FormioError('Missing ' + _id)); }
+
+    // Revisions are requested as their own type so that plugins do not mistake them for the current version.
+    return this.makeRequest(revision ? (type + 'Revision') : type, this[_url] + revision + query, 'get', null, opts);
+  }
+
+  /**
+   * Loads the revisions of the form or submission of this instance, which the server records every time
+   * it is saved.
+   *
+   * @param {string} type - The type of entity, "form" or "submission".
+   * @param {string|Object} query - The query string, or {params} object, of the index.
+   * @param {Object} opts - The request options.
+   * @returns {Promise.<Array>}
+   */
+  revisions(type, query, opts) {
+    var _id = type + 'Id';
+    var _url = type + 'Url';
+    query = query || '';
+    if (query instanceof FormioQuery) {
+      query = '?' + query.toString();
+    }
+    else if (query && typeof query === 'object') {
+      query = '?' + Formio.serialize(query.params);
+    }
+    if (!this[_id]) { return Promise.reject(new FormioError('Missing ' + _id)); }
+    return this.makeRequest(type + 'Revisions', this[_url] + '/v' + query, 'get', null, opts);
   }
 
   makeRequest(type, url, method, data, opts) {
@@ -233,18 +1168,18 @@ export class Formio {
       opts: opts
     };
 
-    var request = Formio.pluginWait('preRequest', requestArgs)
-      .then(function() {
-        return Formio.pluginGet('request', requestArgs)
-          .then(function(result) {
+    var request = this.pluginWait('preRequest', requestArgs)
+      .then(() => {
+        return this.pluginGet('request', requestArgs)
+          .then((result) => {
             if (result === null || result === undefined) {
-              return Formio.request(url, method, data, opts.header, opts);
+              return this.client.request(url, method, data, opts.header, opts);
             }
             return result;
           });
       });
 
-    return Formio.pluginAlter('wrapRequestPromise', request, requestArgs);
+    return this.pluginAlter('wrapRequestPromise', alterResponse(this, request, requestArgs), requestArgs);
   }
 
   loadProject(query, opts) {
@@ -260,17 +1195,41 @@ export class Formio {
   }
 
   static loadProjects(query, opts) {
+    var client = getClient(this);
     query = query || '';
     if (typeof query === 'object') {
-      query = '?' + serialize(query.params);
+      query = '?' + Formio.serialize(query.params);
     }
-    return Formio.makeStaticRequest(Formio.baseUrl + '/project' + query);
+    return client.makeStaticRequest(client.baseUrl + '/project' + query, 'GET', null, opts);
   }
 
+  /**
+   * Loads the form of this instance.
+   *
+   * @example
+   * // Load the form as it was at its third revision.
+   * formio.loadForm({revision: 3}).then((form) => console.log(form.components));
+   *
+   * @param {string|Object} query - The query string, or {params, revision} object, where revision is the number
+   *   or id of a revision of the form to load instead of its current version.
+   * @param {Object} opts - The request options.
+   * @returns {Promise.<Object>}
+   */
   loadForm(query, opts) {
     return this.load('form', query, opts);
   }
 
+  /**
+   * Loads the revisions of the form of this instance.
+   *
+   * @param {string|Object} query - The query string, or {params} object, of the index.
+   * @param {Object} opts - The request options.
+   * @returns {Promise.<Array>}
+   */
+  loadFormRevisions(query, opts) {
+    return this.revisions('form', query, opts);
+  }
+
   saveForm(data, opts) {
     return this.save('form', data, opts);
   }
@@ -283,10 +1242,33 @@ export class Formio {
     return this.index('forms', query, opts);
   }
 
+  iterateForms(query, opts) {
+    return this.iterate('forms', query, opts);
+  }
+
+  /**
+   * Loads the submission of this instance.
+   *
+   * @param {string|Object} query - The query string, or {params, revision} object, where revision is the id of a
+   *   revision of the submission to load instead of its current version.
+   * @param {Object} opts - The request options.
+   * @returns {Promise.<Object>}
+   */
   loadSubmission(query, opts) {
     return this.load('submission', query, opts);
   }
 
+  /**
+   * Loads the revisions of the submission of this instance.
+   *
+   * @param {string|Object} query - The query string, or {params} object, of the index.
+   * @param {Object} opts - The request options.
+   * @returns {Promise.<Array>}
+   */
+  loadSubmissionRevisions(query, opts) {
+    return this.revisions('submission', query, opts);
+  }
+
   saveSubmission(data, opts) {
     return this.save('submission', data, opts);
   }
@@ -299,6 +1281,152 @@ export class Formio {
     return this.index('submissions', query, opts);
   }
 
+  /**
+   * Subscribes to the submissions of the form of this instance as they are created, updated or deleted. Every
+   * change is provided to the handler and emitted on the events of the client as "formio.submissionCreated",
+   * "formio.submissionUpdated" or "formio.submissionDeleted". The WebSocket and Server-Sent Events transports
+   * need a server which provides the subscribe url, which the Form.io API does not, @see FormioSubscription.
+   *
+   * @example
+   * let formio = new Formio('https://examples.form.io/example');
+   * let subscription = formio.subscribe('submission', (change) => console.log(change.type, change.submission));
+   * Formio.events.on('formio.submissionDeleted', (change) => console.log(change.submission._id));
+   *
+   * @param {string} type - The type of entity to subscribe to, which must be "submission".
+   * @param {function} handler - Called with the {type, submission, formUrl} of every change.
+   * @param {Object} options - The options of the subscription. @see FormioSubscription
+   * @returns {FormioSubscription} - The open subscription, which stops with close().
+   */
+  subscribe(type, handler, options) {
+    if (type !== 'submission') {
+      throw new FormioError('Subscriptions to ' + type + ' are not supported.');
+    }
+    if (!this.formId) {
+      throw new FormioError('Missing formId');
+    }
+    return (new FormioSubscription(this, handler, options)).open();
+  }
+
+  /**
+   * Returns an iterator over every page of an index, using the content-range of each response
+   * to determine when the last page has been reached.
+   *
+   * @example
+   * let pages = formio.iterateSubmissions({params: {'data.status': 'open'}}, {pageSize: 50, prefetch: 2});
+   * pages.eachPage((submissions) => {
+   *   console.log(submissions);
+   *   // Return false to stop loading pages.
+   * });
+   *
+   * @param {string} type - The index type, such as "submissions" or "forms".
+   * @param {string|Object} query - The query string, or {params} object, of the index.
+   * @param {Object} opts - The request options.
+   * @param {number} opts.pageSize - The number of items per page. Defaults to 100.
+   * @param {number} opts.prefetch - The number of pages to load ahead of the current page. Defaults to 0.
+   * @returns {Object} - An async iterator of pages which also provides eachPage(fn).
+   */
+  iterate(type, query, opts) {
+    opts = opts || {};
+    return createPageIterator((skip, limit) => {
+      return this.index(type, getPageQuery(query, skip, limit), opts);
+    }, opts.pageSize || 100, opts.prefetch || 0);
+  }
+
+  iterateSubmissions(query, opts) {
+    return this.iterate('submissions', query, opts);
+  }
+
+  /**
+   * Loads every submission of the form, one page at a time.
+   *
+   * @param {string|Object} query - The query string, or {params} object, of the index.
+   * @param {Object} opts - The options provided to iterateSubmissions.
+   * @param {number} opts.max - The maximum number of submissions to load. The promise is rejected when
+   *   the form has more submissions than this. Defaults to 10000.
+   * @returns {Promise.<Array>}
+   */
+  loadAllSubmissions(query, opts) {
+    opts = opts || {};
+    var max = opts.max || 10000;
+    var submissions = [];
+    var pages = this.iterateSubmissions(query, opts);
+    return pages.eachPage(function(page) {
+      if ((submissions.length + page.length) > max) {
+        pages.return();
+        throw new FormioError('More than ' + max + ' submissions were found.');
+      }
+      submissions.push.apply(submissions, page);
+    }).then(function() {
+      submissions.serverCount = submissions.length;
+      return submissions;
+    });
+  }
+
+  /**
+   * Creates or updates many submissions of this form. Every submission is sent through makeRequest,
+   * so plugins see each one as a normal submission request.
+   *
+   * @example
+   * formio.saveSubmissions(rows.map((row) => ({data: row})), {
+   *   concurrency: 10,
+   *   progress: (status) => console.log(status.completed + ' of ' + status.total)
+   * }).then((results) => {
+   *   let failed = results.filter((result) => !result.success);
+   * });
+   *
+   * @param {Array} submissions - The submissions to save. Submissions with an _id are updated.
+   * @param {Object} opts - The request options.
+   * @param {number} opts.concurrency - The number of requests sent at the same time. Defaults to 5.
+   * @param {function} opts.progress - Called with {completed, total, result} after each submission.
+   * @returns {Promise.<Array>} - Resolves with {index, id, success, result|error} for every submission,
+   *   in the order provided, even when some of them failed.
+   */
+  saveSubmissions(submissions, opts) {
+    opts = opts || {};
+    if (!this.submissionsUrl) { return Promise.reject(new FormioError('Missing submissionsUrl')); }
+    return runBatch(submissions || [], opts.concurrency || 5, (submission) => {
+      var method = submission._id ? 'put' : 'post';
+      var reqUrl = this.submissionsUrl + (submission._id ? ('/' + submission._id) : '');
+      return this.makeRequest('submission', reqUrl + this.query, method, submission, opts);
+    }, opts.progress).then((results) => {
+      results.forEach(function(result) {
+        var item = result.success ? result.result : submissions[result.index];
+        result.id = (item && item._id) || null;
+      });
+      return this.invalidateCache('submission').then(function() {
+        return results;
+      });
+    });
+  }
+
+  /**
+   * Deletes many submissions of this form.
+   *
+   * @param {Array} ids - The submission ids, or submissions, to delete.
+   * @param {Object} opts - The request options, which accept the same concurrency and progress as saveSubmissions.
+   * @returns {Promise.<Array>} - Resolves with {index, id, success, result|error} for every id.
+   */
+  deleteSubmissions(ids, opts) {
+    opts = opts || {};
+    if (!this.submissionsUrl) { return Promise.reject(new FormioError('Missing submissionsUrl')); }
+    ids = (ids || []).map(function(id) {
+      return (id && typeof id === 'object') ? id._id : id;
+    });
+    return runBatch(ids, opts.concurrency || 5, (id) => {
+      if (!id) {
+        return Promise.reject(new FormioError('Missing submissionId'));
+      }
+      return this.makeRequest('submission', this.submissionsUrl + '/' + id, 'delete', null, opts);
+    }, opts.progress).then((results) => {
+      results.forEach(function(result) {
+        result.id = ids[result.index] || null;
+      });
+      return this.invalidateCache('submission').then(function() {
+        return results;
+      });
+    });
+  }
+
   loadAction(query, opts) {
     return this.load('action', query, opts);
   }
@@ -323,23 +1451,180 @@ export class Formio {
     return this.makeRequest('actionInfo', this.formUrl + '/actions/' + name);
   }
 
+  /**
+   * Returns the authentication token used by this instance.
+   *
+   * @returns {string}
+   */
+  getToken() {
+    return this.client.getToken();
+  }
+
+  /**
+   * Registers a plugin which only applies to the requests of this instance, in addition to the plugins
+   * of its client. The init hook of the plugin receives the client and this instance.
+   *
+   * @param {Object} plugin - The plugin. @see Formio.registerPlugin
+   * @param {string} name - The name of the plugin.
+   */
+  registerPlugin(plugin, name) {
+    this.plugins = addPlugin(this.plugins, plugin, name);
+    (plugin.init || Formio.noop).call(plugin, this.client, this);
+  }
+
+  /**
+   * Removes a plugin, by reference or name, from this instance.
+   *
+   * @param {Object|string} plugin - The plugin or its name.
+   * @returns {boolean} - If a plugin was removed.
+   */
+  deregisterPlugin(plugin) {
+    var beforeLength = this.plugins.length;
+    this.plugins = this.plugins.filter((p) => {
+      if (p !== plugin && p.__name !== plugin) return true;
+      (p.deregister || Formio.noop).call(p, this.client, this);
+      return false;
+    });
+    return beforeLength !== this.plugins.length;
+  }
+
+  /**
+   * Returns a plugin of this instance, or of its client, by name.
+   *
+   * @param {string} name - The name of the plugin.
+   * @returns {Object|null}
+   */
+  getPlugin(name) {
+    var plugin = null;
+    this.plugins.forEach(function(p) {
+      if (!plugin && (p.__name === name)) {
+        plugin = p;
+      }
+    });
+    return plugin || this.client.getPlugin(name);
+  }
+
+  /**
+   * Returns the plugins of the client and of this instance, in the order they run.
+   *
+   * @returns {Array}
+   */
+  getPlugins() {
+    return this.plugins.length ? sortPlugins(this.client.plugins.concat(this.plugins)) : this.client.plugins;
+  }
+
+  pluginWait(pluginFn) {
+    return callPluginWait(this.getPlugins(), pluginFn, [].slice.call(arguments, 1));
+  }
+
+  pluginGet(pluginFn) {
+    return callPluginGet(this.getPlugins(), pluginFn, [].slice.call(arguments, 1));
+  }
+
+  pluginAlter(pluginFn, value) {
+    return callPluginAlter(this.getPlugins(), pluginFn, value, [].slice.call(arguments, 2));
+  }
+
+  pluginAlterAsync(pluginFn, value) {
+    return callPluginAlterAsync(this.getPlugins(), pluginFn, value, [].slice.call(arguments, 2));
+  }
+
+  /**
+   * Sends a file upload through the upload transport. Storage providers use this instead of
+   * XMLHttpRequest so that uploads also work where it is not available.
+   *
+   * @param {Object} request - The upload request.
+   * @param {string} request.method - The request method. Defaults to POST.
+   * @param {string} request.url - The url to upload to.
+   * @param {Object} request.headers - The request headers.
+   * @param {Object} request.data - The multipart form fields, including the file.
+   * @param {string} request.body - A raw body to send instead of form fields.
+   * @param {function} request.progress - Called with the progress events of the upload, when supported.
+   * @param {AbortSignal} request.signal - Aborts the upload, when supported.
+   * @returns {Promise.<Object>} - Resolves with the {status, response, url, headers} of the server response.
+   */
+  upload(request) {
+    return Formio.uploadTransport(request);
+  }
+
   /**
    * Returns a temporary authentication token for single purpose token generation.
    */
   getTempToken(expire, allowed) {
-    var token = Formio.getToken();
+    var token = this.client.getToken();
     if (!token) {
-      return Promise.reject('You must be authenticated to generate a temporary auth token.');
+      return Promise.reject(new FormioError.AuthError('You must be authenticated to generate a temporary auth token.'));
     }
     return this.makeRequest('tempToken', this.projectUrl + '/token', 'GET', null, {
-      header: new Headers({
+      header: createHeaders({
         'x-expire': expire,
         'x-allow': allowed
       })
     });
   }
 
-  uploadFile(storage, file, fileName, dir, progressCallback, url) {
+  /**
+   * Returns the roles of the project and the access of its forms.
+   *
+   * @returns {Promise.<Object>} - Resolves with the {roles, forms} of the project.
+   */
+  accessInfo() {
+    return this.makeRequest('accessInfo', this.projectUrl + '/access', 'GET');
+  }
+
+  /**
+   * Determines what a user may do with the form and submission of this instance, by evaluating the access and
+   * submissionAccess of the form and the roles of the user. The server still enforces the permissions, so this is
+   * meant to adapt the interface, such as hiding the forms a user cannot submit.
+   *
+   * @example
+   * let formio = new Formio('https://examples.form.io/example/submission/5a1f1b2c3d4e5f6a7b8c9d0e');
+   * formio.userPermissions().then((permissions) => {
+   *   if (!permissions.edit) {
+   *     console.log('This submission is read only.');
+   *   }
+   * });
+   *
+   * @param {Object} user - The user. Defaults to the current user, and null checks the anonymous user.
+   * @param {Object} form - The form. Defaults to the form of this instance.
+   * @param {Object} submission - The submission. Defaults to the submission of this instance, if any.
+   * @returns {Promise.<Object>} - Resolves with the {user, roles, admin, form, create, read, edit, delete}
+   *   permissions, where form provides the {read, edit, delete} permissions on the form itself.
+   */
+  userPermissions(user, form, submission) {
+    return Promise.all([
+      (user !== undefined) ? user : this.client.currentUser(),
+      form || this.loadForm(),
+      (submission || !this.submissionId) ? submission : this.loadSubmission(),
+      this.accessInfo()
+    ]).then(function(results) {
+      return getPermissions(results[3], results[0], results[1], results[2]);
+    });
+  }
+
+  /**
+   * Uploads a file with a storage provider.
+   *
+   * @param {string} storage - The name of the storage provider, such as "url", "s3", "dropbox", "azure",
+   *   "presigned", "base64" or a provider added with Formio.registerStorageProvider.
+   * @param {File} file - The file to upload.
+   * @param {string} fileName - The name of the file.
+   * @param {string} dir - The directory of the file.
+   * @param {function} progressCallback - Called with the {loaded, total} progress events of the upload.
+   * @param {string} url - The url to upload to, for the url provider, or the url which signs the upload, for the
+   *   presigned provider.
+   * @param {Object} options - The options of the upload.
+   * @param {boolean} options.chunked - Set to true to upload the file in chunks which resume after failures and
+   *   page reloads. Only the url provider supports this, as its url is a tus endpoint. The other options are
+   *   provided to the chunked upload. @see providers/storage/resumable
+   * @param {number} options.maxSize - The maximum bytes of a file stored within the submission by the base64
+   *   provider.
+   * @param {function} options.onStart - Called with the upload before it is sent, whose abort() method stops it.
+   * @returns {Promise.<Object>} - The information of the uploaded file, which is stored within the submission.
+   */
+  uploadFile(storage, file, fileName, dir, progressCallback, url, options) {
+    // Support calling this method detached from its instance.
+    var scope = this || Formio;
     var requestArgs = {
       provider: storage,
       method: 'upload',
@@ -347,35 +1632,37 @@ export class Formio {
       fileName: fileName,
       dir: dir
     }
-    var request = Formio.pluginWait('preRequest', requestArgs)
+    var request = scope.pluginWait('preRequest', requestArgs)
       .then(function() {
-        return Formio.pluginGet('fileRequest', requestArgs)
+        return scope.pluginGet('fileRequest', requestArgs)
           .then(function(result) {
             if (storage && (result === null || result === undefined)) {
               if (Formio.providers.storage.hasOwnProperty(storage)) {
                 var provider = new Formio.providers.storage[storage](this);
-                return provider.uploadFile(file, fileName, dir, progressCallback, url);
+                return provider.uploadFile(file, fileName, dir, progressCallback, url, options);
               }
               else {
-                throw('Storage provider not found');
+                throw new FormioError('Storage provider not found');
               }
             }
             return result || {url: ''};
           }.bind(this));
       }.bind(this));
 
-    return Formio.pluginAlter('wrapFileRequestPromise', request, requestArgs);
+    return scope.pluginAlter('wrapFileRequestPromise', request, requestArgs);
   }
 
   downloadFile(file) {
+    // Support calling this method detached from its instance.
+    var scope = this || Formio;
     var requestArgs = {
       method: 'download',
       file: file
     };
 
-    var request = Formio.pluginWait('preRequest', requestArgs)
+    var request = scope.pluginWait('preRequest', requestArgs)
       .then(function() {
-        return Formio.pluginGet('fileRequest', requestArgs)
+        return scope.pluginGet('fileRequest', requestArgs)
           .then(function(result) {
             if (file.storage && (result === null || result === undefined)) {
               if (Formio.providers.storage.hasOwnProperty(file.storage)) {
@@ -383,14 +1670,14 @@ export class Formio {
                 return provider.downloadFile(file);
               }
               else {
-                throw('Storage provider not found');
+                throw new FormioError('Storage provider not found');
               }
             }
             return result || {url: ''};
           }.bind(this));
       }.bind(this));
 
-    return Formio.pluginAlter('wrapFileRequestPromise', request, requestArgs);
+    return scope.pluginAlter('wrapFileRequestPromise', request, requestArgs);
   }
 
   static getUrlParts(url) {
@@ -414,7 +1701,21 @@ export class Formio {
     return str.join("&");
   }
 
+  /**
+   * Creates a query builder for index requests such as loadSubmissions and loadForms.
+   *
+   * @example
+   * formio.loadSubmissions(Formio.query().gt('data.age', 21).sort('-created'));
+   *
+   * @param {Object} filters - Initial filters keyed by field and optional operator, such as {'data.age__gt': 21}.
+   * @returns {FormioQuery}
+   */
+  static query(filters) {
+    return new FormioQuery(filters);
+  }
+
   static makeStaticRequest(url, method, data, opts) {
+    var client = getClient(this);
     method = (method || 'GET').toUpperCase();
     if(!opts || typeof opts !== 'object') {
       opts = {};
@@ -425,23 +1726,55 @@ export class Formio {
       data: data
     };
 
-    var request = Formio.pluginWait('preRequest', requestArgs)
+    var request = client.pluginWait('preRequest', requestArgs)
       .then(function() {
-        return Formio.pluginGet('staticRequest', requestArgs)
+        return client.pluginGet('staticRequest', requestArgs)
           .then(function(result) {
             if (result === null || result === undefined) {
-              return Formio.request(url, method, data, opts.header, opts);
+              return client.request(url, method, data, opts.header, opts);
             }
             return result;
           });
       });
 
-    return Formio.pluginAlter('wrapStaticRequestPromise', request, requestArgs);
+    return client.pluginAlter('wrapStaticRequestPromise', alterResponse(client, request, requestArgs), requestArgs);
   }
 
+  /**
+   * Make a request to the Form.io API.
+   *
+   * @param {string} url - The url of the request.
+   * @param {string} method - The HTTP method. Defaults to GET.
+   * @param {Object} data - The data to send as the JSON body of the request.
+   * @param {Headers} header - The headers to send instead of the default JSON headers.
+   * @param {Object} opts - The request options.
+   * @param {boolean} opts.ignoreCache - Do not return a cached GET response. Same as the "network-only" cache policy.
+   * @param {string} opts.cachePolicy - How GET requests use the cache. Defaults to Formio.cachePolicy.
+   *   "cache-first" returns fresh cached responses, "network-first" only falls back to the cache on network errors,
+   *   "stale-while-revalidate" returns cached responses and refreshes expired ones in the background and
+   *   "network-only" always requests from the server.
+   * @param {number} opts.ttl - The milliseconds this response stays fresh in the cache. Defaults to the ttl of the cache store.
+   * @param {boolean} opts.noToken - Do not send the x-jwt-token header.
+   * @param {boolean} opts.storeToken - Set to false to not store the x-jwt-token header of the response.
+   * @param {boolean} opts.getHeaders - Resolve with {result, headers} instead of just the result.
+   * @param {number} opts.timeout - Reject with a timeout error if an attempt takes longer than this many milliseconds.
+   * @param {number|Object} opts.retry - The number of retries, or {count, delay, maxDelay, backoff, statuses, networkErrors}
+   *   where backoff is "fixed", "linear", "exponential" or function(attempt, error) returning the delay.
+   * @param {AbortSignal} opts.signal - A signal, such as Formio.createCancelToken().signal, which cancels the request.
+   *   Cancelled requests reject with an error that has the "cancelled" flag set.
+   * @param {boolean} opts.dedupe - Set to false to send a GET request even if an identical one is already in flight.
+   *   Requests with custom headers are never shared. Cancelling a shared request only rejects the request of the
+   *   signal, and the shared request is aborted once all of its requests are cancelled.
+   * @param {boolean} opts.revalidate - Set to false to not send the If-None-Match and If-Modified-Since headers of a
+   *   cached response. Otherwise a 304 Not Modified response returns and refreshes the cached response.
+   * @returns {Promise} - Rejects with a Formio.Error, such as a Formio.ValidationError for invalid submissions or a
+   *   Formio.NetworkError when the server cannot be reached, which carries the status, url, method, headers and
+   *   parsed response of the request.
+   */
   static request(url, method, data, header, opts) {
+    var client = getClient(this);
     if (!url) {
-      return Promise.reject('No url provided');
+      return Promise.reject(new FormioError('No url provided'));
     }
     method = (method || 'GET').toUpperCase();
 
@@ -454,24 +1787,33 @@ export class Formio {
       opts = {};
     }
 
-    var cacheKey = btoa(url);
-
-    return new Promise(function(resolve, reject) {
-      // Get the cached promise to save multiple loads.
-      if (!opts.ignoreCache && method === 'GET' && Formio.cache.hasOwnProperty(cacheKey)) {
-        return resolve(Formio.cache[cacheKey]);
-      }
+    var cache = client.getCache();
+    var policy = (method === 'GET') ? (opts.cachePolicy || (opts.ignoreCache ? 'network-only' : client.cachePolicy)) : 'network-only';
+    var cached = (method === 'GET') ? Promise.resolve(cache.get(url)).catch(Formio.noop) : Promise.resolve(null);
 
+    // Send the request to the server and save GET responses within the cache.
+    var sendRequest = function(cachedEntry, opts) {
       var requestToken = '';
-      resolve(new Promise(function(resolve, reject) {
+      var validators = {};
+      return new Promise(function(resolve, reject) {
         // Set up and fetch request
-        var headers = header || new Headers({
+        var headers = header || createHeaders({
             'Accept': 'application/json',
             'Content-type': 'application/json; charset=UTF-8'
           });
-        var token = Formio.getToken();
+        var token = client.getToken();
         if (token && !opts.noToken) {
-          headers.append('x-jwt-token', token);
+          headers.set('x-jwt-token', token);
+        }
+
+        // Let the server answer with 304 Not Modified if the cached response is still current.
+        if (cachedEntry && (opts.revalidate !== false)) {
+          if (cachedEntry.etag && !headers.has('If-None-Match')) {
+            headers.set('If-None-Match', cachedEntry.etag);
+          }
+          if (cachedEntry.lastModified && !headers.has('If-Modified-Since')) {
+            headers.set('If-Modified-Since', cachedEntry.lastModified);
+          }
         }
 
         var options = {
@@ -483,33 +1825,81 @@ export class Formio {
           options.body = JSON.stringify(data);
         }
 
+        // Let native fetch implementations abort the underlying request.
+        if (opts.signal && (typeof AbortSignal !== 'undefined') && (opts.signal instanceof AbortSignal)) {
+          options.signal = opts.signal;
+        }
+
         requestToken = headers.get('x-jwt-token');
-        resolve(fetch(url, options));
+        resolve(fetchWithRetry(url, options, opts));
       })
         .catch(function(err) {
-          err.message = 'Could not connect to API server (' + err.message + ')';
-          err.networkError = true;
-          throw err;
+          if (err.cancelled || err.timeout) {
+            err.url = url;
+            err.method = method;
+            throw err;
+          }
+          throw new FormioError.NetworkError('Could not connect to API server (' + err.message + ')', {
+            url: url,
+            method: method,
+            cause: err
+          });
         })
         .then(function(response) {
+          if ((response.status === 304) && cachedEntry) {
+            validators.etag = response.headers.get('etag') || cachedEntry.etag;
+            validators.lastModified = response.headers.get('last-modified') || cachedEntry.lastModified;
+            return getCacheValue(cachedEntry);
+          }
           if (!response.ok) {
-            if (response.status === 440) {
-              Formio.setToken(null);
-              Formio.events.emit('formio.sessionExpired', response.body);
-            }
-            else if (response.status === 401) {
-              Formio.events.emit('formio.unauthorized', response.body);
+            var rejectResponse = function() {
+              // A failed token refresh is reported by the request that triggered it.
+              if (!opts.tokenRefresh) {
+                if (response.status === 440) {
+                  client.setToken(null);
+                  client.events.emit('formio.sessionExpired', response.body);
+                }
+                else if (response.status === 401) {
+                  client.events.emit('formio.unauthorized', response.body);
+                }
+              }
+              // Parse and return the error as a rejected promise to reject this promise
+              return (response.headers.get('content-type').indexOf('application/json') !== -1 ?
+                response.json() : response.text())
+                .then(function(body) {
+                  throw FormioError.fromResponse(response.status, body, {
+                    url: url,
+                    method: method,
+                    headers: getResponseHeaders(response)
+                  });
+                });
+            };
+
+            // Refresh the token and retry this request once if the token was rejected.
+            if (
+              ((response.status === 440) || (response.status === 401)) &&
+              requestToken &&
+              client.tokenRefresh.retry &&
+              !opts.tokenRefresh &&
+              !opts.tokenRefreshed
+            ) {
+              return client.refreshToken().then(function(token) {
+                if (!token || (token === requestToken)) {
+                  return rejectResponse();
+                }
+                var retryOpts = copy(opts);
+                retryOpts.cachePolicy = 'network-only';
+                retryOpts.tokenRefreshed = true;
+                return client.request(url, method, data, header, retryOpts);
+              }, rejectResponse);
             }
-            // Parse and return the error as a rejected promise to reject this promise
-            return (response.headers.get('content-type').indexOf('application/json') !== -1 ?
-              response.json() : response.text())
-              .then(function(error){
-                throw error;
-              });
+            return rejectResponse();
           }
 
           // Handle fetch results
           var token = response.headers.get('x-jwt-token');
+          validators.etag = response.headers.get('etag');
+          validators.lastModified = response.headers.get('last-modified');
 
           // In some strange cases, the fetch library will return an x-jwt-token without sending
           // one to the server. This has even been debugged on the server to verify that no token
@@ -532,9 +1922,10 @@ export class Formio {
             response.status < 300 &&
             token &&
             token !== '' &&
-            !tokenIntroduced
+            !tokenIntroduced &&
+            (opts.storeToken !== false)
           ) {
-            Formio.setToken(token);
+            client.setToken(token);
           }
           // 204 is no content. Don't try to .json() it.
           if (response.status === 204) {
@@ -560,35 +1951,98 @@ export class Formio {
               return result;
             }
 
-            var headers = {};
-            response.headers.forEach(function(item, key) {
-              headers[key] = item;
-            });
-
             return new Promise(function(resolve, reject) {
-              resolve({result: result, headers: headers});
+              resolve({result: result, headers: getResponseHeaders(response)});
             });
           });
         })
+        .then(function(result) {
+          // Save the cache
+          if (method === 'GET') {
+            var ttl = opts.hasOwnProperty('ttl') ? opts.ttl : cache.ttl;
+            var entry = {
+              value: result,
+              created: Date.now(),
+              expires: ttl ? (Date.now() + ttl) : 0
+            };
+            if (Array.isArray(result)) {
+              entry.range = {skip: result.skip, limit: result.limit, serverCount: result.serverCount};
+            }
+            if (validators.etag) {
+              entry.etag = validators.etag;
+            }
+            if (validators.lastModified) {
+              entry.lastModified = validators.lastModified;
+            }
+            Promise.resolve(cache.set(url, entry)).catch(Formio.noop);
+          }
+          return result;
+        })
         .catch(function(err) {
-          if (err === 'Bad Token') {
-            Formio.setToken(null);
-            Formio.events.emit('formio.badToken', err);
+          if (err && (err.message === 'Bad Token')) {
+            client.setToken(null);
+            client.events.emit('formio.badToken', err);
           }
-          if (Formio.cache.hasOwnProperty(cacheKey)) {
-            // Remove failed promises from cache
-            delete Formio.cache[cacheKey];
+          // Remove failed requests from the cache, but keep stale entries around while offline.
+          if ((method === 'GET') && !(err && err.networkError)) {
+            Promise.resolve(cache.remove(url)).catch(Formio.noop);
           }
           // Propagate error so client can handle accordingly
           throw err;
-        }));
-    })
-      .then(function(result) {
-        // Save the cache
-        if (method === 'GET') {
-          Formio.cache[cacheKey] = Promise.resolve(result);
+        });
+    };
+
+    // Identical GET requests which are sent while one is already in flight share its response.
+    var fromNetwork = function(cachedEntry) {
+      if ((method !== 'GET') || header || (opts.dedupe === false)) {
+        return sendRequest(cachedEntry, opts);
+      }
+      var key = [
+        opts.getHeaders ? 'headers' : 'result',
+        opts.noToken ? '' : client.getToken(),
+        url
+      ].join(' ');
+      var pending = client.pendingRequests[key];
+      var remove = function() {
+        if (client.pendingRequests[key] === pending) {
+          delete client.pendingRequests[key];
         }
+      };
+      if (!pending) {
+        // The shared request has its own signal, which is aborted once every caller cancelled.
+        var cancelToken = Formio.createCancelToken();
+        var sharedOpts = copy(opts);
+        sharedOpts.signal = cancelToken.signal;
+        pending = client.pendingRequests[key] = {
+          callers: 0,
+          cancel: cancelToken.cancel,
+          promise: sendRequest(cachedEntry, sharedOpts)
+        };
+        pending.promise.then(remove, remove);
+      }
+      pending.callers++;
+      return joinRequest(pending, opts.signal, remove);
+    };
 
+    return cached
+      .then(function(entry) {
+        var fresh = entry && (!entry.expires || (entry.expires > Date.now()));
+        if (entry && fresh && (policy === 'cache-first' || policy === 'stale-while-revalidate')) {
+          return getCacheValue(entry);
+        }
+        if (entry && (policy === 'stale-while-revalidate')) {
+          fromNetwork(entry).catch(Formio.noop);
+          return getCacheValue(entry);
+        }
+        return fromNetwork(entry).catch(function(err) {
+          // Fall back to whatever was cached if the server cannot be reached.
+          if (entry && (policy === 'network-first') && err && err.networkError) {
+            return getCacheValue(entry);
+          }
+          throw err;
+        });
+      })
+      .then(function(result) {
         // Shallow copy result so modifications don't end up in cache
         if(Array.isArray(result)) {
           var resultCopy = result.map(copy);
@@ -601,15 +2055,47 @@ export class Formio {
       });
   }
 
+  /**
+   * Sets where the token and user are stored. Defaults to localStorage.
+   *
+   * @example
+   * Formio.setAuthStorage('session', {namespace: 'myproject'});
+   *
+   * @param {string|Object} storage - The name of a storage within Formio.providers.auth ("local", "session",
+   *   "memory" or "cookie"), or a custom storage providing getItem(key), setItem(key, value) and removeItem(key).
+   * @param {Object} options - The options provided to the named storage.
+   * @param {string} options.namespace - Prefix the storage keys so tokens of different projects do not collide.
+   */
+  static setAuthStorage(storage, options) {
+    var client = getClient(this);
+    options = options || {};
+    if (typeof storage === 'string') {
+      if (!Formio.providers.auth.hasOwnProperty(storage)) {
+        throw new FormioError('Auth storage not found');
+      }
+      storage = Formio.providers.auth[storage](options);
+    }
+    client.authStorage = storage;
+    client.authNamespace = options.namespace || '';
+
+    // Read the token from the new storage the next time it is needed.
+    client.token = '';
+  }
+
   static setToken(token) {
+    var client = getClient(this);
     token = token || '';
-    if (token === this.token) { return; }
-    this.token = token;
+    if (token === client.token) { return; }
+    client.token = token;
+    scheduleTokenExpiring(client, token);
+    if (client === Formio) {
+      broadcastSession('formioToken', token);
+    }
     if (!token) {
-      Formio.setUser(null);
+      client.setUser(null);
       // iOS in private browse mode will throw an error but we can't detect ahead of time that we are in private mode.
       try {
-        return localStorage.removeItem('formioToken');
+        return client.authStorage.removeItem(authKey(client, 'formioToken'));
       }
       catch(err) {
         return;
@@ -617,19 +2103,23 @@ export class Formio {
     }
     // iOS in private browse mode will throw an error but we can't detect ahead of time that we are in private mode.
     try {
-      localStorage.setItem('formioToken', token);
+      client.authStorage.setItem(authKey(client, 'formioToken'), token);
     }
     catch(err) {
       // Do nothing.
     }
-    return Formio.currentUser(); // Run this so user is updated if null
+    return client.currentUser(); // Run this so user is updated if null
   }
 
   static getToken() {
-    if (this.token) { return this.token; }
+    var client = getClient(this);
+    if (client.token) { return client.token; }
     try {
-      var token = localStorage.getItem('formioToken') || '';
-      this.token = token;
+      var token = client.authStorage.getItem(authKey(client, 'formioToken')) || '';
+      client.token = token;
+      if (token) {
+        scheduleTokenExpiring(client, token);
+      }
       return token;
     }
     catch (e) {
@@ -637,12 +2127,128 @@ export class Formio {
     }
   }
 
+  /**
+   * Returns when a token expires based on the "exp" claim of the JSON Web Token.
+   *
+   * @param {string} token - The token to inspect. Defaults to the current token.
+   * @returns {Date|null} - The expiration date, or null if the token does not expire.
+   */
+  static getTokenExpiration(token) {
+    var client = getClient(this);
+    var payload = decodeToken((token === undefined) ? client.getToken() : token);
+    return (payload && payload.exp) ? new Date(payload.exp * 1000) : null;
+  }
+
+  /**
+   * Configures how tokens are refreshed.
+   *
+   * @example
+   * Formio.setTokenRefresh({auto: true, retry: true});
+   * Formio.events.on('formio.tokenExpiring', (info) => console.log('Token expires at ' + info.expires));
+   *
+   * @param {boolean|Object} options - The options, or true to enable both auto and retry.
+   * @param {string} options.url - The endpoint which responds with a new x-jwt-token header. Defaults to the /current endpoint.
+   * @param {string} options.method - The HTTP method used to call the refresh endpoint. Defaults to GET.
+   * @param {number} options.expiringIn - The milliseconds before expiration to emit formio.tokenExpiring. Defaults to one minute.
+   * @param {boolean} options.auto - Refresh the token when formio.tokenExpiring is emitted.
+   * @param {boolean} options.retry - Refresh the token and retry a request once when it is rejected with a 440 or 401.
+   */
+  static setTokenRefresh(options) {
+    var client = getClient(this);
+    if (typeof options === 'boolean') {
+      options = {auto: options, retry: options};
+    }
+    options = options || {};
+    for (var key in options) {
+      if (options.hasOwnProperty(key)) {
+        client.tokenRefresh[key] = options[key];
+      }
+    }
+    scheduleTokenExpiring(client, client.getToken());
+  }
+
+  /**
+   * Requests a new token from the refresh endpoint. Concurrent calls share the same request.
+   *
+   * @returns {Promise.<string>} - The new token.
+   */
+  static refreshToken() {
+    var client = getClient(this);
+    if (client.refreshingToken) {
+      return client.refreshingToken;
+    }
+    var token = client.getToken();
+    if (!token) {
+      return Promise.resolve('');
+    }
+    var url = client.tokenRefresh.url || (client.baseUrl + '/current');
+    client.refreshingToken = client.makeStaticRequest(url, client.tokenRefresh.method, null, {
+      cachePolicy: 'network-only',
+      tokenRefresh: true
+    })
+      .then(function(result) {
+        client.refreshingToken = null;
+
+        // The current endpoint also returns the user.
+        if (!client.tokenRefresh.url && result && result._id) {
+          client.setUser(result);
+        }
+        var newToken = client.getToken();
+        if (newToken && (newToken !== token)) {
+          client.events.emit('formio.tokenRefreshed', newToken);
+        }
+        return newToken;
+      }, function(err) {
+        client.refreshingToken = null;
+        throw err;
+      });
+    return client.refreshingToken;
+  }
+
+  /**
+   * Enables or disables keeping the token and user in sync across browser tabs. When another tab
+   * changes the token the cache is cleared, and formio.logout and formio.user are emitted within this tab.
+   * Enabled by default in the browser.
+   *
+   * @param {boolean} enabled - If the session should be kept in sync.
+   */
+  static setSessionSync(enabled) {
+    if (sessionChannel) {
+      sessionChannel.close();
+      sessionChannel = null;
+    }
+    if ((typeof window === 'undefined') || !window.addEventListener) {
+      return;
+    }
+    window.removeEventListener('storage', onStorage);
+    if (!enabled) {
+      return;
+    }
+
+    // Storage events only fire for localStorage, so also use a BroadcastChannel for other auth storages.
+    window.addEventListener('storage', onStorage);
+    if (typeof BroadcastChannel !== 'undefined') {
+      sessionChannel = new BroadcastChannel('formio');
+      sessionChannel.onmessage = function(event) {
+        if (event.data && event.data.key) {
+          onSessionChange(event.data.key, event.data.value);
+        }
+      };
+    }
+  }
+
   static setUser(user) {
+    var client = getClient(this);
+    var serialized = user ? JSON.stringify(user) : null;
+    if ((client === Formio) && (serialized !== sessionUser)) {
+      sessionUser = serialized;
+      broadcastSession('formioUser', serialized);
+    }
     if (!user) {
-      this.setToken(null);
+      client.setToken(null);
       // iOS in private browse mode will throw an error but we can't detect ahead of time that we are in private mode.
       try {
-        return localStorage.removeItem('formioUser');
+        return client.authStorage.removeItem(authKey(client, 'formioUser'));
       }
       catch(err) {
         return;
@@ -650,7 +2256,7 @@ export class Formio {
     }
     // iOS in private browse mode will throw an error but we can't detect ahead of time that we are in private mode.
     try {
-      localStorage.setItem('formioUser', JSON.stringify(user));
+      client.authStorage.setItem(authKey(client, 'formioUser'), serialized);
     }
     catch(err) {
       // Do nothing.
@@ -658,8 +2264,9 @@ export class Formio {
   }
 
   static getUser() {
+    var client = getClient(this);
     try {
-      return JSON.parse(localStorage.getItem('formioUser') || null);
+      return JSON.parse(client.authStorage.getItem(authKey(client, 'formioUser')) || null);
     }
     catch (e) {
       return;
@@ -667,133 +2274,451 @@ export class Formio {
   }
 
   static setBaseUrl(url) {
-    Formio.baseUrl = url;
-    if (!Formio.projectUrlSet) {
-      Formio.projectUrl = url;
+    var client = getClient(this);
+    client.baseUrl = url;
+    if (!client.projectUrlSet) {
+      client.projectUrl = url;
     }
   }
 
   static getBaseUrl() {
-    return Formio.baseUrl;
+    var client = getClient(this);
+    return client.baseUrl;
   }
 
   static setApiUrl(url) {
-    return Formio.setBaseUrl(url);
+    var client = getClient(this);
+    return client.setBaseUrl(url);
   }
 
   static getApiUrl() {
-    return Formio.getBaseUrl();
+    var client = getClient(this);
+    return client.getBaseUrl();
   }
 
   static setAppUrl(url) {
+    var client = getClient(this);
     console.warn('Formio.setAppUrl() is deprecated. Use Formio.setProjectUrl instead.')
-    Formio.projectUrl = url;
-    Formio.projectUrlSet = true;
+    client.projectUrl = url;
+    client.projectUrlSet = true;
   }
 
   static setProjectUrl(url) {
-    Formio.projectUrl = url;
-    Formio.projectUrlSet = true;
+    var client = getClient(this);
+    client.projectUrl = url;
+    client.projectUrlSet = true;
   }
 
   static getAppUrl() {
+    var client = getClient(this);
     console.warn('Formio.getAppUrl() is deprecated. Use Formio.getProjectUrl instead.')
-    return Formio.projectUrl;
+    return client.projectUrl;
   }
 
   static getProjectUrl() {
-    return Formio.projectUrl;
+    var client = getClient(this);
+    return client.projectUrl;
+  }
+
+  /**
+   * Returns the cache store used for GET requests.
+   *
+   * @returns {Object}
+   */
+  static getCache() {
+    var client = getClient(this);
+    // Support applications that reset the cache by assigning a plain object.
+    if (!client.cache || (typeof client.cache.get !== 'function')) {
+      client.cache = Formio.providers.cache.memory();
+    }
+    return client.cache;
+  }
+
+  /**
+   * Sets the fetch implementation used for all requests, such as node-fetch when running in Node.js
+   * versions without a global fetch.
+   *
+   * @example
+   * const fetch = require('node-fetch');
+   * Formio.setFetch(fetch, fetch.Headers);
+   *
+   * @param {function} fetch - The fetch implementation. Pass null to use the global fetch.
+   * @param {function} Headers - The Headers class belonging to the fetch implementation.
+   */
+  static setFetch(fetch, Headers) {
+    Formio.fetch = fetch || null;
+    Formio.Headers = Headers || null;
+  }
+
+  /**
+   * Sets how storage providers upload files.
+   *
+   * @example
+   * Formio.setUploadTransport((request) => myHttpClient.post(request.url, request.data));
+   *
+   * @param {string|function} transport - The name of a transport within Formio.providers.transport ("xhr" or
+   *   "fetch"), or a function which receives the upload request and resolves with {status, response, url, headers}.
+   * @param {Object} options - The options provided to the named transport.
+   */
+  static setUploadTransport(transport, options) {
+    if (typeof transport === 'string') {
+      if (!Formio.providers.transport.hasOwnProperty(transport)) {
+        throw new FormioError('Upload transport not found');
+      }
+      options = copy(options || {});
+      options.fetch = options.fetch || function(url, init) {
+        return getFetch()(url, init);
+      };
+      transport = Formio.providers.transport[transport](options);
+    }
+    Formio.uploadTransport = transport;
+  }
+
+  /**
+   * Registers a storage provider, which file components and uploadFile use by its name. A storage provider is a
+   * function which receives the Formio instance of the upload and returns an object with the uploadFile(file,
+   * fileName, dir, progressCallback, url, options) and downloadFile(file) methods, which both return promises.
+   * Formio.storageProvider provides the headers, requests, abort and file information shared by providers.
+   *
+   * @example
+   * Formio.registerStorageProvider('myStorage', function(formio) {
+   *   var provider = Formio.storageProvider(formio);
+   *   return {
+   *     uploadFile: (file, fileName, dir, progress, url, options) => provider.send({
+   *       method: 'PUT',
+   *       url: url + '/' + fileName,
+   *       headers: provider.headers(),
+   *       body: file,
+   *       progress: progress
+   *     }, provider.signal(options)).then(() => provider.fileInfo('myStorage', file, fileName, {
+   *       url: url + '/' + fileName
+   *     })),
+   *     downloadFile: (file) => Promise.resolve(file)
+   *   };
+   * });
+   *
+   * @param {string} name - The name of the provider, which is stored within the uploaded files.
+   * @param {function} provider - The provider.
+   */
+  static registerStorageProvider(name, provider) {
+    if (!name || (typeof provider !== 'function')) {
+      throw new FormioError('A storage provider needs a name and a function');
+    }
+    provider.title = provider.title || name;
+    Formio.providers.storage[name] = provider;
+  }
+
+  /**
+   * Sets the cache store used for GET requests.
+   *
+   * A cache store provides get(key), set(key, entry), remove(key), clear() and keys() methods which
+   * may either return their result or a promise, and optionally the default ttl of its entries.
+   *
+   * @example
+   * Formio.setCache('session', {maxEntries: 50, ttl: 5 * 60 * 1000});
+   *
+   * @param {string|Object} store - The name of a cache within Formio.providers.cache, or a cache store.
+   * @param {Object} options - The options provided to the named cache.
+   */
+  static setCache(store, options) {
+    var client = getClient(this);
+    if (typeof store === 'string') {
+      if (!Formio.providers.cache.hasOwnProperty(store)) {
+        throw new FormioError('Cache provider not found');
+      }
+      store = Formio.providers.cache[store](options);
+    }
+    client.cache = store;
+  }
+
+  /**
+   * Removes the cached responses of a url, its query variants and everything below it.
+   *
+   * @param {string} url - The url to invalidate, such as the submissionsUrl of a form.
+   * @returns {Promise}
+   */
+  static invalidateCache(url) {
+    var client = getClient(this);
+    var cache = client.getCache();
+    return Promise.resolve(cache.keys()).then(function(keys) {
+      return Promise.all(keys.filter(function(key) {
+        return (key === url) || (key.indexOf(url + '/') === 0) || (key.indexOf(url + '?') === 0);
+      }).map(function(key) {
+        return cache.remove(key);
+      }));
+    });
   }
 
   static clearCache() {
-    Formio.cache = {};
+    var client = getClient(this);
+    return Promise.resolve(client.getCache().clear());
+  }
+
+  /**
+   * Creates a handle which can cancel any request it is passed to as opts.signal.
+   *
+   * @example
+   * let request = Formio.createCancelToken();
+   * formio.loadSubmissions(null, {signal: request.signal}).catch((err) => {
+   *   if (err.cancelled) {
+   *     console.log('The request was cancelled.');
+   *   }
+   * });
+   * request.cancel();
+   *
+   * @returns {{signal: AbortSignal, cancel: function}}
+   */
+  static createCancelToken() {
+    if (typeof AbortController !== 'undefined') {
+      var controller = new AbortController();
+      return {
+        signal: controller.signal,
+        cancel: function(reason) {
+          controller.abort(reason);
+        }
+      };
+    }
+
+    var listeners = [];
+    var signal = {
+      aborted: false,
+      reason: undefined,
+      addEventListener: function(type, listener) {
+        if (type === 'abort') {
+          listeners.push(listener);
+        }
+      },
+      removeEventListener: function(type, listener) {
+        listeners = listeners.filter(function(item) {
+          return item !== listener;
+        });
+      }
+    };
+    return {
+      signal: signal,
+      cancel: function(reason) {
+        if (signal.aborted) {
+          return;
+        }
+        signal.aborted = true;
+        signal.reason = reason;
+        listeners.slice().forEach(function(listener) {
+          listener();
+        });
+      }
+    };
+  }
+
+  /**
+   * Creates a client with its own base url, project url, token storage, cache and plugins.
+   *
+   * @param {Object} options - The options of the client. @see FormioClient
+   * @returns {FormioClient}
+   */
+  static createClient(options) {
+    return new FormioClient(options);
   }
 
   static noop() {}
   static identity(value) { return value; }
 
+  /**
+   * Removes a plugin, by reference or name, from the client.
+   *
+   * @param {Object|string} plugin - The plugin or its name.
+   * @returns {boolean} - If a plugin was removed.
+   */
   static deregisterPlugin(plugin) {
-    var beforeLength = Formio.plugins.length;
-    Formio.plugins = Formio.plugins.filter(function(p) {
+    var client = getClient(this);
+    var beforeLength = client.plugins.length;
+    client.plugins = client.plugins.filter(function(p) {
       if(p !== plugin && p.__name !== plugin) return true;
-      (p.deregister || Formio.noop).call(p, Formio);
+      (p.deregister || Formio.noop).call(p, client);
       return false;
     });
-    return beforeLength !== Formio.plugins.length;
+    return beforeLength !== client.plugins.length;
   }
 
+  /**
+   * Registers a plugin for every request of the client.
+   *
+   * Plugins run in the order of their priority, highest first, and then in the order they were registered in.
+   * A plugin may list plugin names within "before" and "after" to run before or after those plugins regardless
+   * of their priority.
+   *
+   * @example
+   * Formio.registerPlugin({
+   *   priority: 10,
+   *   after: 'offline',
+   *   preRequest: (requestArgs) => console.log(requestArgs.url),
+   *   responseAlter: (result, requestArgs) => result
+   * }, 'logger');
+   *
+   * @param {Object} plugin - The plugin, which provides any of the hooks such as preRequest, request,
+   *   wrapRequestPromise, staticRequest, wrapStaticRequestPromise, fileRequest, wrapFileRequestPromise,
+   *   responseAlter(result, requestArgs) and responseErrorAlter(err, requestArgs).
+   * @param {string} name - The name of the plugin.
+   */
   static registerPlugin(plugin, name) {
-    Formio.plugins.push(plugin);
-    Formio.plugins.sort(function(a, b) {
-      return (b.priority || 0) - (a.priority || 0);
-    });
-    plugin.__name = name;
-    (plugin.init || Formio.noop).call(plugin, Formio);
+    var client = getClient(this);
+    client.plugins = addPlugin(client.plugins, plugin, name);
+    (plugin.init || Formio.noop).call(plugin, client);
   }
 
   static getPlugin(name) {
-    return Formio.plugins.reduce(function(result, plugin) {
+    var client = getClient(this);
+    return client.plugins.reduce(function(result, plugin) {
       if (result) return result;
       if (plugin.__name === name) return plugin;
     }, null);
   }
 
   static pluginWait(pluginFn) {
-    var args = [].slice.call(arguments, 1);
-    return Promise.all(Formio.plugins.map(function(plugin) {
-      return (plugin[pluginFn] || Formio.noop).apply(plugin, args);
-    }));
+    return callPluginWait(getClient(this).plugins, pluginFn, [].slice.call(arguments, 1));
   }
 
   static pluginGet(pluginFn) {
-    var args = [].slice.call(arguments, 0);
-    var callPlugin = function(index, pluginFn) {
-      var plugin = Formio.plugins[index];
-      if (!plugin) return Promise.resolve(null);
-      return Promise.resolve((plugin && plugin[pluginFn] || Formio.noop).apply(plugin, [].slice.call(arguments, 2)))
-        .then(function(result) {
-          if (result !== null && result !== undefined) return result;
-          return callPlugin.apply(null, [index + 1].concat(args));
-        });
-    };
-    return callPlugin.apply(null, [0].concat(args));
+    return callPluginGet(getClient(this).plugins, pluginFn, [].slice.call(arguments, 1));
   }
 
   static pluginAlter(pluginFn, value) {
-    var args = [].slice.call(arguments, 2);
-    return Formio.plugins.reduce(function(value, plugin) {
-      return (plugin[pluginFn] || Formio.identity).apply(plugin, [value].concat(args));
-    }, value);
+    return callPluginAlter(getClient(this).plugins, pluginFn, value, [].slice.call(arguments, 2));
+  }
+
+  /**
+   * Passes a value through a hook of every plugin. Unlike pluginAlter the hooks may return promises, which
+   * are awaited before the value is passed to the next plugin.
+   *
+   * @param {string} pluginFn - The name of the hook.
+   * @param {*} value - The value to alter.
+   * @returns {Promise} - Resolves with the altered value.
+   */
+  static pluginAlterAsync(pluginFn, value) {
+    return callPluginAlterAsync(getClient(this).plugins, pluginFn, value, [].slice.call(arguments, 2));
+  }
+
+  /**
+   * Logs in by submitting credentials to a login form of the project. The token returned by the server is
+   * stored with setToken, the user with setUser, and the "formio.login" event is emitted with the user.
+   *
+   * @example
+   * Formio.login('user/login', {email: 'joe@example.com', password: 'secret'}).then((user) => console.log(user));
+   *
+   * @param {string|Formio} form - The path of the login form within the project, the url of the form or a Formio
+   *   instance of it. Defaults to "user/login".
+   * @param {Object} credentials - The data of the login form, such as {email, password}, or a submission.
+   * @returns {Promise.<Object>} - The user. Rejects with a Formio.AuthError if the credentials are incorrect.
+   */
+  static login(form, credentials) {
+    return authenticate(getClient(this), form || 'user/login', credentials, 'formio.login');
+  }
+
+  /**
+   * Registers a user by submitting a registration form of the project. If the form also logs the user in, the
+   * token and user are stored like login. The "formio.register" event is emitted with the user.
+   *
+   * @param {string|Formio} form - The path of the registration form within the project, the url of the form or a
+   *   Formio instance of it. Defaults to "user/register".
+   * @param {Object} data - The data of the registration form, or a submission.
+   * @returns {Promise.<Object>} - The user. Rejects with a Formio.ValidationError if the data is invalid.
+   */
+  static register(form, data) {
+    return authenticate(getClient(this), form || 'user/register', data, 'formio.register');
+  }
+
+  /**
+   * Requests a password reset email by submitting a form with a reset password action, such as {email}.
+   *
+   * @param {string|Formio} form - The path of the form within the project, the url of the form or a Formio instance.
+   * @param {Object} data - The data of the form, or a submission.
+   * @returns {Promise.<Object>}
+   */
+  static requestPasswordReset(form, data) {
+    return getAuthForm(getClient(this), form).saveSubmission(getAuthSubmission(data), {noToken: true});
+  }
+
+  /**
+   * Sets a new password by submitting the reset password form with the token of the password reset email.
+   *
+   * @param {string|Formio} form - The path of the form within the project, the url of the form or a Formio instance.
+   * @param {Object} data - The data of the form, such as {password}, or a submission.
+   * @param {string} token - The token of the password reset link. Defaults to the x-jwt-token query parameter of
+   *   the page.
+   * @returns {Promise.<Object>}
+   */
+  static resetPassword(form, data, token) {
+    token = token || getUrlToken();
+    if (!token) {
+      return Promise.reject(new FormioError.AuthError('A password reset token is required.'));
+    }
+    return getAuthForm(getClient(this), form).saveSubmission(getAuthSubmission(data), {
+      noToken: true,
+      header: createHeaders({
+        'Accept': 'application/json',
+        'Content-type': 'application/json; charset=UTF-8',
+        'x-jwt-token': token
+      })
+    });
+  }
+
+  /**
+   * Returns the roles of the project and the access of its forms.
+   *
+   * @example
+   * Formio.accessInfo().then((access) => console.log(access.roles.administrator._id));
+   *
+   * @returns {Promise.<Object>} - Resolves with the {roles, forms} of the project, keyed by their machine names.
+   */
+  static accessInfo() {
+    var client = getClient(this);
+    return client.makeStaticRequest(client.getProjectUrl() + '/access');
   }
 
   static currentUser() {
-    var url = Formio.baseUrl + '/current';
-    var user = this.getUser();
+    var client = getClient(this);
+    var url = client.baseUrl + '/current';
+
+    // Refresh an expired token before returning the user it belongs to.
+    var expires = client.getTokenExpiration();
+    if (expires && (expires.getTime() <= Date.now()) && client.tokenRefresh.auto && !client.refreshingToken) {
+      return client.refreshToken().catch(Formio.noop).then(function() {
+        var refreshed = client.getTokenExpiration();
+        if (refreshed && (refreshed.getTime() <= Date.now())) {
+          client.setToken(null);
+          client.events.emit('formio.sessionExpired');
+        }
+        return client.currentUser();
+      });
+    }
+
+    var user = client.getUser();
     if (user) {
-      return Formio.pluginAlter('wrapStaticRequestPromise', Promise.resolve(user), {
+      return client.pluginAlter('wrapStaticRequestPromise', Promise.resolve(user), {
         url: url,
         method: 'GET'
       })
     }
-    var token = this.getToken();
+    var token = client.getToken();
     if (!token) {
-      return Formio.pluginAlter('wrapStaticRequestPromise', Promise.resolve(null), {
+      return client.pluginAlter('wrapStaticRequestPromise', Promise.resolve(null), {
         url: url,
         method: 'GET'
       })
     }
-    return Formio.makeStaticRequest(url)
+    return client.makeStaticRequest(url)
       .then(function(response) {
-        Formio.setUser(response);
+        client.setUser(response);
         return response;
       });
   }
 
   static logout() {
-    Formio.setToken(null);
-    Formio.setUser(null);
-    Formio.clearCache();
-    return Formio.makeStaticRequest(Formio.baseUrl + '/logout');
+    var client = getClient(this);
+    client.setToken(null);
+    client.setUser(null);
+    client.clearCache();
+    client.events.emit('formio.logout');
+    return client.makeStaticRequest(client.baseUrl + '/logout');
   }
 
   /**
@@ -933,16 +2858,110 @@ export class Formio {
   }
 }
 
+/**
+ * A client owns the base url, project url, token storage, cache and plugins used by Formio instances,
+ * so that forms of several projects or environments can live on one page without sharing their tokens
+ * or caches. The static Formio API is the default client, and a client provides the same methods such as
+ * setToken, getToken, setCache, registerPlugin, currentUser, logout and makeStaticRequest.
+ *
+ * @example
+ * let client = Formio.createClient({
+ *   baseUrl: 'https://api.example.com',
+ *   projectUrl: 'https://myproject.example.com'
+ * });
+ * client.events.on('formio.user', (user) => console.log(user));
+ * let formio = new Formio('https://myproject.example.com/myform', {client: client});
+ * Formio.createForm(document.getElementById('formio'), 'https://myproject.example.com/myform', {client: client});
+ */
+export class FormioClient {
+  /**
+   * Creates a new client.
+   *
+   * @param {Object} options - The options of this client.
+   * @param {string} options.baseUrl - The base url of the API. Defaults to Formio.baseUrl.
+   * @param {string} options.projectUrl - The url of the project. Defaults to the base url.
+   * @param {string|Object} options.authStorage - Where the token and user are stored, as accepted by setAuthStorage.
+   *   Defaults to "local".
+   * @param {string} options.namespace - The namespace of the auth storage keys. Defaults to the project url so that
+   *   clients do not share their tokens.
+   * @param {string|Object} options.cache - The cache store, as accepted by setCache. Defaults to a new memory cache.
+   * @param {Object} options.cacheOptions - The options provided to a named cache.
+   * @param {string} options.cachePolicy - The default cache policy of GET requests. Defaults to Formio.cachePolicy.
+   * @param {boolean|Object} options.tokenRefresh - The token refresh configuration, as accepted by setTokenRefresh.
+   */
+  constructor(options) {
+    options = options || {};
+    this.baseUrl = options.baseUrl || Formio.baseUrl;
+    this.projectUrl = options.projectUrl || this.baseUrl;
+    this.projectUrlSet = !!options.projectUrl;
+    this.plugins = [];
+    this.cachePolicy = options.cachePolicy || Formio.cachePolicy;
+    this.cache = null;
+    this.setCache(options.cache || 'memory', options.cacheOptions);
+    this.pendingRequests = {};
+    this.token = '';
+    this.tokenTimer = null;
+    this.refreshingToken = null;
+    this.tokenRefresh = copy(tokenRefreshDefaults);
+    this.events = new EventEmitter({
+      wildcard: false,
+      maxListeners: 0
+    });
+    this.setAuthStorage(options.authStorage || 'local', {
+      namespace: options.hasOwnProperty('namespace') ? options.namespace : this.projectUrl
+    });
+    if (options.tokenRefresh) {
+      this.setTokenRefresh(options.tokenRefresh);
+    }
+  }
+}
+
+// Clients share the implementation of the static API, which operates on the client it is called on.
+[
+  'loadProjects', 'makeStaticRequest', 'request', 'setAuthStorage', 'setToken', 'getToken', 'getTokenExpiration',
+  'setTokenRefresh', 'refreshToken', 'setUser', 'getUser', 'setBaseUrl', 'getBaseUrl', 'setApiUrl', 'getApiUrl',
+  'setProjectUrl', 'getProjectUrl', 'getCache', 'setCache', 'invalidateCache', 'clearCache', 'deregisterPlugin',
+  'registerPlugin', 'getPlugin', 'pluginWait', 'pluginGet', 'pluginAlter', 'pluginAlterAsync', 'login', 'register',
+  'requestPasswordReset', 'resetPassword', 'accessInfo', 'currentUser', 'logout'
+].forEach(function(name) {
+  FormioClient.prototype[name] = Formio[name];
+});
+
 // Define all the static properties.
 Formio.baseUrl = 'https://api.form.io';
 Formio.projectUrl = Formio.baseUrl;
 Formio.projectUrlSet = false;
 Formio.plugins = [];
-Formio.cache = {};
+Formio.cachePolicy = 'cache-first';
 Formio.providers = require('./providers');
+Formio.cache = Formio.providers.cache.memory();
+Formio.pendingRequests = {};
+Formio.authStorage = Formio.providers.auth.local();
+Formio.authNamespace = '';
+Formio.fetch = null;
+Formio.Headers = null;
+Formio.setUploadTransport((typeof XMLHttpRequest !== 'undefined') ? 'xhr' : 'fetch');
+Formio.storageProvider = require('./providers/storage/base');
+Formio.tokenRefresh = copy(tokenRefreshDefaults);
+Formio.availablePlugins = require('./plugins');
+Formio.Query = FormioQuery;
+Formio.Client = FormioClient;
+Formio.Error = FormioError;
+Formio.NetworkError = FormioError.NetworkError;
+Formio.TimeoutError = FormioError.TimeoutError;
+Formio.CancelError = FormioError.CancelError;
+Formio.AuthError = FormioError.AuthError;
+Formio.ValidationError = FormioError.ValidationError;
+Formio.NotFoundError = FormioError.NotFoundError;
+Formio.ServerError = FormioError.ServerError;
+Formio.ConflictError = FormioError.ConflictError;
+Formio.Subscription = FormioSubscription;
+Formio.createPatch = FormioPatch.createPatch;
+Formio.applyPatch = FormioPatch.applyPatch;
 Formio.events = new EventEmitter({
   wildcard: false,
   maxListeners: 0
 });
+Formio.setSessionSync(true);
 
 module.exports = global.Formio = Formio;
@@ -0,0 +1,26 @@
+'use strict';
+
+/**
+ * The Node.js entry point of the SDK. Loads the same client as the browser, configured for an
+ * environment without browser tabs or localStorage.
+ *
+ * @example
+ * const Formio = require('formiojs/node');
+ * Formio.setToken(process.env.FORMIO_TOKEN);
+ * const formio = new Formio('https://examples.form.io/example');
+ * formio.loadSubmissions().then((submissions) => console.log(submissions));
+ *
+ * Node.js versions without a global fetch must provide one.
+ *
+ * @example
+ * const fetch = require('node-fetch');
+ * Formio.setFetch(fetch, fetch.Headers);
+ */
+var Formio = require('./formio');
+
+// Keep the token and user in memory, and do not listen for other browser tabs.
+Formio.setSessionSync(false);
+Formio.setAuthStorage('memory');
+Formio.setUploadTransport('fetch');
+
+module.exports = Formio;
@@ -0,0 +1,268 @@
+'use strict';
+import Promise from "native-promise-only";
+import FormioError from './formio.error';
+
+/**
+ * The sessionStorage key which keeps the state of an authorization while the page redirects to the provider.
+ */
+const storageKey = 'formioOAuth';
+
+/**
+ * Parses the query string and hash of a url into an object.
+ *
+ * @param {string} url - The url to parse.
+ * @returns {Object}
+ */
+let parseParams = function(url) {
+  let params = {};
+  let match = String(url || '').match(/[?#](.*)$/);
+  if (!match) {
+    return params;
+  }
+  match[1].split(/[&#?]/).forEach((pair) => {
+    if (!pair) {
+      return;
+    }
+    let parts = pair.split('=');
+    params[decodeURIComponent(parts[0])] = decodeURIComponent((parts.slice(1).join('=') || '').replace(/\+/g, ' '));
+  });
+  return params;
+};
+
+/**
+ * Returns the origin of a url.
+ */
+let getOrigin = function(url) {
+  let match = String(url || '').match(/^(https?:\/\/[^/?#]+)/);
+  return match ? match[1] : '';
+};
+
+/**
+ * Runs the authorization code flow of an OAuth button, either within a popup or by redirecting the page, and
+ * resolves with the code to submit to the OAuth action of the form.
+ *
+ * The callback is received either by polling the popup until it reaches the redirect uri, which requires the
+ * redirect uri to be on the same origin as the form, or by a message the redirect page posts to its opener
+ * with its query string, such as window.opener.postMessage(window.location.search, '*').
+ *
+ * @example
+ * let oauth = new FormioOAuth(component.oauth);
+ * oauth.authorize().then((result) => formio.saveSubmission({data: {}, oauth: {[result.provider]: result}}));
+ */
+export class FormioOAuth {
+  /**
+   * Creates a new authorization.
+   *
+   * @param {Object} settings - The oauth settings of the button, as provided by the OAuth action of the form.
+   * @param {string} settings.provider - The name of the provider, such as "github".
+   * @param {string} settings.clientId - The client id of the application.
+   * @param {string} settings.authURI - The authorization url of the provider.
+   * @param {string} settings.redirectURI - The url the provider redirects to with the code.
+   * @param {string} settings.scope - The requested scope.
+   * @param {string} settings.state - The state to send. Defaults to a random state.
+   * @param {string} settings.display - "popup" (default) or "redirect".
+   * @param {Object} options - The options of this authorization.
+   * @param {string} options.key - Identifies the button so that a redirect is only completed by that button.
+   * @param {Window} options.window - The window used to open popups, redirect and store the state. Defaults to
+   *   the global window, and may be replaced by a stand-in for tests.
+   * @param {number} options.interval - The milliseconds between checks of the popup. Defaults to 100.
+   */
+  constructor(settings, options) {
+    this.settings = settings || {};
+    this.options = options || {};
+    this.window = this.options.window || ((typeof window !== 'undefined') ? window : null);
+  }
+
+  /**
+   * Creates a random state which protects the callback against forged requests.
+   *
+   * @returns {string}
+   */
+  static createState() {
+    let cryptoObj = (typeof window !== 'undefined') ? (window.crypto || window.msCrypto) : null;
+    if (cryptoObj && cryptoObj.getRandomValues) {
+      let values = new Uint32Array(4);
+      cryptoObj.getRandomValues(values);
+      return Array.prototype.map.call(values, (value) => value.toString(36)).join('');
+    }
+    let state = '';
+    while (state.length < 24) {
+      state += Math.random().toString(36).substring(2);
+    }
+    return state;
+  }
+
+  /**
+   * Returns the authorization url of the provider.
+   *
+   * @param {string} state - The state to send.
+   * @returns {string}
+   */
+  getUrl(state) {
+    let params = {
+      response_type: 'code',
+      client_id: this.settings.clientId,
+      redirect_uri: this.settings.redirectURI,
+      state: state,
+      scope: this.settings.scope
+    };
+    let query = Object.keys(params).filter((key) => params[key]).map((key) => {
+      return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+    }).join('&');
+    let authURI = this.settings.authURI || '';
+    return authURI + ((authURI.indexOf('?') === -1) ? '?' : '&') + query;
+  }
+
+  /**
+   * Opens the authorization url of the provider. With the popup display, resolves with the {provider, code, state,
+   * redirectURI} of the callback. With the redirect display the page navigates away, and the callback is completed
+   * by getRedirectResult once the provider redirects back.
+   *
+   * @returns {Promise.<Object>} - Rejects with a Formio.AuthError if the provider denies the authorization or the
+   *   state of the callback does not match.
+   */
+  authorize() {
+    if (!this.settings.authURI) {
+      return Promise.reject(new FormioError('You must assign this button to an OAuth action before it will work.'));
+    }
+    let state = this.settings.state || FormioOAuth.createState();
+    let url = this.getUrl(state);
+    if (this.settings.display === 'redirect') {
+      this.saveState(state);
+      this.window.location.href = url;
+      return new Promise(() => {});
+    }
+
+    let popup = this.window.open(url, this.settings.provider, 'width=1020,height=618');
+    if (!popup) {
+      return Promise.reject(new FormioError('The OAuth popup was blocked.'));
+    }
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let finish = (params) => {
+        clearInterval(timer);
+        if (this.window.removeEventListener) {
+          this.window.removeEventListener('message', onMessage);
+        }
+        try {
+          popup.close();
+        }
+        catch (err) {
+          // The popup may already be closed.
+        }
+        try {
+          resolve(this.getResult(params, state));
+        }
+        catch (err) {
+          reject(err);
+        }
+      };
+      let onMessage = (event) => {
+        let origin = getOrigin(this.settings.redirectURI);
+        if ((event.source && (event.source !== popup)) || (origin && event.origin && (event.origin !== origin))) {
+          return;
+        }
+        let params = (typeof event.data === 'string') ? parseParams(event.data) : (event.data || {});
+        if (params.code || params.error) {
+          finish(params);
+        }
+      };
+      if (this.window.addEventListener) {
+        this.window.addEventListener('message', onMessage);
+      }
+      timer = setInterval(() => {
+        if (popup.closed) {
+          clearInterval(timer);
+          if (this.window.removeEventListener) {
+            this.window.removeEventListener('message', onMessage);
+          }
+          return reject(new FormioError('The OAuth popup was closed before the authorization completed.'));
+        }
+        let href = '';
+        try {
+          href = popup.location.href;
+        }
+        catch (err) {
+          // The popup is still on the origin of the provider.
+          return;
+        }
+        if (href && this.settings.redirectURI && (href.indexOf(this.settings.redirectURI) === 0)) {
+          finish(parseParams(href));
+        }
+      }, this.options.interval || 100);
+    });
+  }
+
+  /**
+   * Completes an authorization which redirected the page, if the current url is the callback of this button.
+   *
+   * @returns {Object} - The {provider, code, state, redirectURI} of the callback, or null if the url is not the
+   *   callback of this button. Throws a Formio.AuthError if the provider denied the authorization.
+   */
+  getRedirectResult() {
+    if (!this.window || !this.window.location) {
+      return null;
+    }
+    let params = parseParams(this.window.location.href);
+    if (!params.state || (!params.code && !params.error)) {
+      return null;
+    }
+    let saved = this.loadState();
+    if (
+      !saved ||
+      (saved.state !== params.state) ||
+      (saved.provider !== this.settings.provider) ||
+      (saved.key !== this.options.key)
+    ) {
+      return null;
+    }
+    this.saveState(null);
+    return this.getResult(params, saved.state);
+  }
+
+  /**
+   * Validates the parameters of a callback.
+   */
+  getResult(params, state) {
+    if (params.error) {
+      throw new FormioError.AuthError(params.error_description || params.error);
+    }
+    if (!params.code || (params.state !== state)) {
+      throw new FormioError.AuthError('The OAuth state does not match. Please try again.');
+    }
+    return {
+      provider: this.settings.provider,
+      code: params.code,
+      state: params.state,
+      redirectURI: this.settings.redirectURI
+    };
+  }
+
+  saveState(state) {
+    try {
+      if (!state) {
+        return this.window.sessionStorage.removeItem(storageKey);
+      }
+      this.window.sessionStorage.setItem(storageKey, JSON.stringify({
+        state: state,
+        provider: this.settings.provider,
+        key: this.options.key
+      }));
+    }
+    catch (err) {
+      // Private browsing modes may not provide sessionStorage.
+    }
+  }
+
+  loadState() {
+    try {
+      return JSON.parse(this.window.sessionStorage.getItem(storageKey) || null);
+    }
+    catch (err) {
+      return null;
+    }
+  }
+}
+
+FormioOAuth.parseParams = parseParams;
+module.exports = FormioOAuth;
@@ -0,0 +1,174 @@
+'use strict';
+import FormioError from './formio.error';
+
+/**
+ * Escapes a property name for use within a JSON pointer.
+ *
+ * @param {string} key - The property name.
+ * @returns {string}
+ */
+let escapeKey = function(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+};
+
+/**
+ * Returns the property names of a JSON pointer.
+ *
+ * @param {string} path - The JSON pointer, such as "/data/firstName".
+ * @returns {Array}
+ */
+let parsePath = function(path) {
+  if (!path) {
+    return [];
+  }
+  if (path.charAt(0) !== '/') {
+    throw new FormioError('Invalid patch path ' + path);
+  }
+  return path.substr(1).split('/').map((key) => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+let isObject = function(value) {
+  return !!value && (typeof value === 'object') && !Array.isArray(value);
+};
+
+let isEqual = function(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+let clone = function(value) {
+  return (value === undefined) ? value : JSON.parse(JSON.stringify(value));
+};
+
+let diff = function(from, to, path, operations) {
+  if (isObject(from) && isObject(to)) {
+    Object.keys(from).forEach((key) => {
+      if (!to.hasOwnProperty(key) || (to[key] === undefined)) {
+        operations.push({op: 'remove', path: path + '/' + escapeKey(key)});
+      }
+    });
+    Object.keys(to).forEach((key) => {
+      if (to[key] === undefined) {
+        return;
+      }
+      if (!from.hasOwnProperty(key) || (from[key] === undefined)) {
+        operations.push({op: 'add', path: path + '/' + escapeKey(key), value: clone(to[key])});
+      }
+      else {
+        diff(from[key], to[key], path + '/' + escapeKey(key), operations);
+      }
+    });
+    return operations;
+  }
+
+  // Arrays of the same length are compared by index, while rows which were added or removed replace the
+  // whole array so that the operations do not depend on how the server shifts the indexes.
+  if (Array.isArray(from) && Array.isArray(to) && (from.length === to.length)) {
+    from.forEach((item, index) => diff(item, to[index], path + '/' + index, operations));
+    return operations;
+  }
+  if (!isEqual(from, to)) {
+    operations.push({op: 'replace', path: path, value: clone(to)});
+  }
+  return operations;
+};
+
+/**
+ * Computes the JSON-Patch (RFC 6902) operations which change one version of a document into another.
+ *
+ * @example
+ * import Formio from 'formiojs';
+ * Formio.createPatch({data: {name: 'Joe', age: 30}}, {data: {name: 'Joe', age: 31}});
+ * // [{op: 'replace', path: '/data/age', value: 31}]
+ *
+ * @param {Object} from - The original version.
+ * @param {Object} to - The changed version.
+ * @returns {Array} - The add, remove and replace operations.
+ */
+export function createPatch(from, to) {
+  return diff(from, to, '', []);
+}
+
+/**
+ * Applies JSON-Patch operations to a copy of a document. Supports the add, remove, replace, move, copy and
+ * test operations.
+ *
+ * @param {Object} document - The document to patch, which is not modified.
+ * @param {Array} operations - The operations to apply.
+ * @returns {Object} - The patched document. Throws a FormioError if an operation cannot be applied.
+ */
+export function applyPatch(document, operations) {
+  let result = {value: clone(document)};
+  let resolve = (path) => {
+    let keys = ['value'].concat(parsePath(path));
+    let parent = result;
+    keys.slice(0, -1).forEach((key) => {
+      if (!parent || (typeof parent !== 'object') || !parent.hasOwnProperty(key)) {
+        throw new FormioError('The patch path ' + path + ' does not exist');
+      }
+      parent = parent[key];
+    });
+    if (!parent || (typeof parent !== 'object')) {
+      throw new FormioError('The patch path ' + path + ' does not exist');
+    }
+    return {parent: parent, key: keys[keys.length - 1]};
+  };
+  let get = (path) => {
+    let target = resolve(path);
+    if (!target.parent.hasOwnProperty(target.key)) {
+      throw new FormioError('The patch path ' + path + ' does not exist');
+    }
+    return target.parent[target.key];
+  };
+  let remove = (path) => {
+    let value = get(path);
+    let target = resolve(path);
+    if (Array.isArray(target.parent)) {
+      target.parent.splice(parseInt(target.key, 10), 1);
+    }
+    else {
+      delete target.parent[target.key];
+    }
+    return value;
+  };
+  let add = (path, value) => {
+    let target = resolve(path);
+    if (Array.isArray(target.parent)) {
+      let index = (target.key === '-') ? target.parent.length : parseInt(target.key, 10);
+      if (isNaN(index) || (index < 0) || (index > target.parent.length)) {
+        throw new FormioError('The patch path ' + path + ' does not exist');
+      }
+      target.parent.splice(index, 0, value);
+    }
+    else {
+      target.parent[target.key] = value;
+    }
+  };
+
+  (operations || []).forEach((operation) => {
+    switch (operation.op) {
+      case 'add':
+        return add(operation.path, clone(operation.value));
+      case 'remove':
+        return remove(operation.path);
+      case 'replace':
+        remove(operation.path);
+        return add(operation.path, clone(operation.value));
+      case 'move':
+        return add(operation.path, remove(operation.from));
+      case 'copy':
+        return add(operation.path, clone(get(operation.from)));
+      case 'test':
+        if (!isEqual(get(operation.path), operation.value)) {
+          throw new FormioError('The patch test of ' + operation.path + ' failed');
+        }
+        return;
+    }
+    throw new FormioError('Invalid patch operation ' + operation.op);
+  });
+  return result.value;
+}
+
+module.exports = {
+  createPatch: createPatch,
+  applyPatch: applyPatch
+};
@@ -0,0 +1,207 @@
+'use strict';
+
+/**
+ * Encodes a single query value using the formats the Form.io API expects.
+ *
+ * @param {*} value - The value to encode.
+ * @returns {string}
+ */
+let encodeValue = function(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof RegExp) {
+    let flags = (value.ignoreCase ? 'i' : '') + (value.multiline ? 'm' : '');
+    return flags ? ('/' + value.source + '/' + flags) : value.source;
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeValue).join(',');
+  }
+  return String(value);
+};
+
+/**
+ * Builds the query string of an index request using the filter syntax of the Form.io API.
+ *
+ * @example
+ * import Formio from 'formiojs';
+ * let query = Formio.query()
+ *   .eq('data.status', 'open')
+ *   .gte('created', new Date('2017-01-01'))
+ *   .in('data.state', ['TX', 'CA'])
+ *   .sort('-created')
+ *   .select('data.name', 'data.status')
+ *   .limit(25);
+ * formio.loadSubmissions(query).then((submissions) => console.log(submissions));
+ */
+export class FormioQuery {
+  /**
+   * Creates a new query.
+   *
+   * @param {Object} filters - Initial filters keyed by field and optional operator, such as {'data.age__gt': 21}.
+   */
+  constructor(filters) {
+    /**
+     * The filters of this query as [key, value] pairs.
+     * @type {Array}
+     */
+    this.filters = [];
+
+    /**
+     * The non filter parameters, such as sort, select, limit and skip.
+     * @type {Object}
+     */
+    this.params = {};
+
+    if (filters) {
+      for (let key in filters) {
+        if (filters.hasOwnProperty(key)) {
+          this.filters.push([key, filters[key]]);
+        }
+      }
+    }
+  }
+
+  /**
+   * Adds a filter to this query.
+   *
+   * @param {string} field - The field path, such as "data.firstName".
+   * @param {string} operator - The operator, such as "gt" or "regex". Omit for equality.
+   * @param {*} value - The value to compare against.
+   * @returns {FormioQuery}
+   */
+  where(field, operator, value) {
+    if (arguments.length < 3) {
+      value = operator;
+      operator = '';
+    }
+    this.filters.push([operator ? (field + '__' + operator) : field, value]);
+    return this;
+  }
+
+  eq(field, value) {
+    return this.where(field, '', value);
+  }
+
+  ne(field, value) {
+    return this.where(field, 'ne', value);
+  }
+
+  gt(field, value) {
+    return this.where(field, 'gt', value);
+  }
+
+  gte(field, value) {
+    return this.where(field, 'gte', value);
+  }
+
+  lt(field, value) {
+    return this.where(field, 'lt', value);
+  }
+
+  lte(field, value) {
+    return this.where(field, 'lte', value);
+  }
+
+  in(field, values) {
+    return this.where(field, 'in', values);
+  }
+
+  nin(field, values) {
+    return this.where(field, 'nin', values);
+  }
+
+  regex(field, pattern) {
+    return this.where(field, 'regex', pattern);
+  }
+
+  exists(field, exists) {
+    return this.where(field, 'exists', (exists === undefined) ? true : !!exists);
+  }
+
+  /**
+   * Sorts the results. Prefix a field with "-" to sort descending.
+   *
+   * @example
+   * Formio.query().sort('-created', 'data.lastName');
+   * Formio.query().sort({created: -1, 'data.lastName': 1});
+   *
+   * @returns {FormioQuery}
+   */
+  sort(...fields) {
+    if (fields.length === 1 && fields[0] && (typeof fields[0] === 'object')) {
+      let order = fields[0];
+      fields = Object.keys(order).map((field) => ((order[field] < 0) ? '-' : '') + field);
+    }
+    this.params.sort = (this.params.sort || []).concat(fields);
+    return this;
+  }
+
+  /**
+   * Only return the provided fields.
+   *
+   * @returns {FormioQuery}
+   */
+  select(...fields) {
+    this.params.select = (this.params.select || []).concat(fields);
+    return this;
+  }
+
+  /**
+   * Populate the provided reference paths.
+   *
+   * @returns {FormioQuery}
+   */
+  populate(...paths) {
+    this.params.populate = (this.params.populate || []).concat(paths);
+    return this;
+  }
+
+  limit(limit) {
+    this.params.limit = limit;
+    return this;
+  }
+
+  skip(skip) {
+    this.params.skip = skip;
+    return this;
+  }
+
+  /**
+   * Returns a copy of this query.
+   *
+   * @returns {FormioQuery}
+   */
+  clone() {
+    let query = new FormioQuery();
+    query.filters = this.filters.slice();
+    for (let key in this.params) {
+      if (this.params.hasOwnProperty(key)) {
+        query.params[key] = Array.isArray(this.params[key]) ? this.params[key].slice() : this.params[key];
+      }
+    }
+    return query;
+  }
+
+  /**
+   * Returns the encoded query string, without the leading "?".
+   *
+   * @returns {string}
+   */
+  toString() {
+    let pairs = this.filters.slice();
+    ['sort', 'select', 'populate', 'limit', 'skip'].forEach((key) => {
+      if (this.params.hasOwnProperty(key)) {
+        pairs.push([key, this.params[key]]);
+      }
+    });
+    return pairs.map((pair) => {
+      // The API sorts by space separated fields, as mongoose does.
+      let value = ((pair[0] === 'sort') && Array.isArray(pair[1])) ? pair[1].join(' ') : encodeValue(pair[1]);
+      return encodeURIComponent(pair[0]) + '=' + encodeURIComponent(value);
+    }).join('&');
+  }
+}
+
+FormioQuery.encodeValue = encodeValue;
+module.exports = FormioQuery;
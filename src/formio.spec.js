@@ -6,6 +6,7 @@ import sinon from 'sinon';
 import Chance from 'chance';
 import fetchMock from 'fetch-mock/es5/client';
 import _ from 'lodash';
+import { SocketServer } from '../test/socket';
 
 let chance = Chance();
 let protocol = 'https';
@@ -18,6 +19,14 @@ var generateID = function() {
   return chance.string({length: 24, pool: '0123456789abcdef'});
 };
 
+// New instances update the project url of the client as they parse their urls, so reset it before tests
+// which rely on how their urls are parsed.
+var resetUrls = function() {
+  Formio.setBaseUrl(baseUrl);
+  Formio.projectUrlSet = false;
+  Formio.projectUrl = baseUrl;
+};
+
 var runTests = function(cb, options) {
   var tests = {};
   var noBefore = cb(tests);
@@ -1754,3 +1763,2189 @@ describe('Formio.currentUser', () => {
     assert.ok(plugin.wrapStaticRequestPromise.calledOnce, 'wrapStaticRequestPromise should be called once');
   });
 });
+describe('Offline plugin', () => {
+  var plugin = null;
+  var formUrl = Formio.getBaseUrl() + '/offlineform';
+  beforeEach(() => {
+    plugin = Formio.availablePlugins.offline({store: 'memory', autoReplay: false});
+    Formio.registerPlugin(plugin, 'offline');
+  });
+
+  afterEach(() => {
+    Formio.deregisterPlugin(plugin);
+  });
+
+  it('Should queue submissions while offline', function(done) {
+    plugin.forceOffline = true;
+    var queued = sinon.spy();
+    Formio.events.once('offline.queued', queued);
+    var formio = new Formio(formUrl);
+    formio.saveSubmission({data: {name: 'test'}})
+      .then(function(submission) {
+        assert.ok(submission.offline, 'Submission should be flagged as offline');
+        assert.deepEqual(submission.data, {name: 'test'});
+        assert.ok(queued.calledOnce, 'offline.queued should be emitted');
+        return plugin.getQueue();
+      })
+      .then(function(queue) {
+        assert.equal(queue.length, 1);
+        assert.equal(queue[0].method, 'POST');
+        assert.equal(queue[0].url, formUrl + '/submission');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should replay queued submissions in order', function(done) {
+    plugin.forceOffline = true;
+    var received = [];
+    fetchMock.mock(formUrl + '/submission', 'POST', function(url, opts) {
+      var body = JSON.parse(opts.body);
+      received.push(body.data.order);
+      return {
+        headers: {'Content-Type': 'application/json'},
+        body: _.assign({_id: generateID()}, body)
+      };
+    });
+    var replayed = sinon.spy();
+    Formio.events.on('offline.replayed', replayed);
+    var formio = new Formio(formUrl);
+    formio.saveSubmission({data: {order: 1}})
+      .then(function() {
+        return formio.saveSubmission({data: {order: 2}});
+      })
+      .then(function() {
+        return plugin.setOffline(false);
+      })
+      .then(function(results) {
+        Formio.events.off('offline.replayed', replayed);
+        fetchMock.restore();
+        assert.deepEqual(received, [1, 2], 'Requests should be replayed in order');
+        assert.equal(results.length, 2);
+        assert.ok(replayed.calledTwice, 'offline.replayed should be emitted for each request');
+        return plugin.getQueue();
+      })
+      .then(function(queue) {
+        assert.equal(queue.length, 0, 'Queue should be empty');
+        done();
+      })
+      .catch(function(err) {
+        fetchMock.restore();
+        done(err);
+      });
+  });
+
+  it('Should replay with the original headers and options through the plugins', function(done) {
+    plugin.forceOffline = true;
+    var lists = 0;
+    var header = null;
+    var skipQueue = [];
+    fetchMock.mock(formUrl + '/submission', 'GET', function() {
+      lists++;
+      return {headers: {'Content-Type': 'application/json'}, body: []};
+    });
+    fetchMock.mock(formUrl + '/submission', 'POST', function(url, opts) {
+      header = opts.headers.get('x-custom');
+      return {headers: {'Content-Type': 'application/json'}, body: _.assign({_id: generateID()}, JSON.parse(opts.body))};
+    });
+    Formio.registerPlugin({
+      request: function(args) {
+        if (args.method === 'POST') {
+          skipQueue.push(!!args.opts.skipQueue);
+        }
+        return null;
+      }
+    }, 'offline-spy');
+    var formio = new Formio(formUrl);
+    var finish = function(err) {
+      Formio.deregisterPlugin('offline-spy');
+      fetchMock.restore();
+      done(err);
+    };
+    plugin.forceOffline = false;
+    formio.loadSubmissions()
+      .then(function() {
+        plugin.forceOffline = true;
+        return formio.saveSubmission({data: {name: 'test'}}, {
+          header: new Headers({
+            'Accept': 'application/json',
+            'Content-type': 'application/json; charset=UTF-8',
+            'x-custom': 'custom'
+          })
+        });
+      })
+      .then(function() {
+        return plugin.getQueue();
+      })
+      .then(function(queue) {
+        assert.deepEqual(queue[0].headers['x-custom'], 'custom');
+        return plugin.setOffline(false);
+      })
+      .then(function(results) {
+        assert.equal(results.length, 1);
+        assert.equal(header, 'custom', 'The headers should be replayed');
+        assert.equal(skipQueue[skipQueue.length - 1], true, 'The plugins should see the skipQueue option');
+        return formio.loadSubmissions();
+      })
+      .then(function() {
+        assert.equal(lists, 2, 'The cached submissions should be invalidated');
+        finish();
+      })
+      .catch(finish);
+  });
+
+  it('Should not replay while the browser is offline', function(done) {
+    plugin.forceOffline = true;
+    var formio = new Formio(formUrl);
+    formio.saveSubmission({data: {name: 'test'}})
+      .then(function() {
+        plugin.isOffline = function() {
+          return true;
+        };
+        return plugin.setOffline(false);
+      })
+      .then(function(results) {
+        assert.deepEqual(results, []);
+        return plugin.getQueue();
+      })
+      .then(function(queue) {
+        assert.equal(queue.length, 1, 'The request should stay queued');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should throw an error for unknown stores', function() {
+    assert.throws(function() {
+      Formio.availablePlugins.offline({store: 'unknown'});
+    }, Error);
+  });
+
+  it('Should queue submissions that fail with a network error', function(done) {
+    var formio = new Formio(formUrl);
+    fetchMock.mock(formUrl + '/submission', 'POST', {throws: new TypeError('Failed to fetch')});
+    formio.saveSubmission({data: {name: 'test'}})
+      .then(function(submission) {
+        fetchMock.restore();
+        assert.ok(submission.offline, 'Submission should be flagged as offline');
+        return plugin.getQueue();
+      })
+      .then(function(queue) {
+        assert.equal(queue.length, 1);
+        done();
+      })
+      .catch(function(err) {
+        fetchMock.restore();
+        done(err);
+      });
+  });
+
+  it('Should not queue submissions which time out', function(done) {
+    var formio = new Formio(formUrl);
+    // The server may have saved a submission which timed out, so it must not be replayed.
+    Formio.setFetch(function() {
+      return new Promise(function() {});
+    });
+    formio.saveSubmission({data: {name: 'test'}}, {timeout: 5})
+      .then(function() {
+        done(new Error('The submission should not be queued'));
+      }, function(err) {
+        Formio.setFetch(null);
+        assert.ok(err instanceof Formio.TimeoutError);
+        return plugin.getQueue().then(function(queue) {
+          assert.equal(queue.length, 0);
+          done();
+        });
+      })
+      .catch(function(err) {
+        Formio.setFetch(null);
+        done(err);
+      });
+  });
+});
+describe('Formio.request options', () => {
+  var url = Formio.getBaseUrl() + '/retryform';
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  it('Should retry retryable status codes', function(done) {
+    var attempts = 0;
+    fetchMock.mock(url, 'GET', function() {
+      attempts++;
+      return (attempts < 3) ? {status: 503, headers: {'Content-Type': 'text/plain'}, body: 'Unavailable'} : {
+        headers: {'Content-Type': 'application/json'},
+        body: {_id: 'retried'}
+      };
+    });
+    Formio.request(url, 'GET', null, null, {ignoreCache: true, retry: {count: 3, delay: 1}})
+      .then(function(result) {
+        assert.equal(attempts, 3, 'Should have made three attempts');
+        assert.equal(result._id, 'retried');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should give up after the retry count', function(done) {
+    var attempts = 0;
+    fetchMock.mock(url, 'GET', function() {
+      attempts++;
+      return {status: 502, headers: {'Content-Type': 'text/plain'}, body: 'Bad Gateway'};
+    });
+    Formio.request(url, 'GET', null, null, {ignoreCache: true, retry: {count: 2, delay: 1, backoff: 'fixed'}})
+      .then(function() {
+        done('Request should have failed');
+      }, function(err) {
+        assert.equal(attempts, 3, 'Should have made the first attempt and two retries');
+        assert.equal(err, 'Bad Gateway');
+        done();
+      });
+  });
+
+  it('Should reject cancelled requests with a cancelled error', function(done) {
+    fetchMock.mock(url, 'GET', {
+      headers: {'Content-Type': 'application/json'},
+      body: {}
+    });
+    var request = Formio.createCancelToken();
+    request.cancel();
+    Formio.request(url, 'GET', null, null, {ignoreCache: true, signal: request.signal})
+      .then(function() {
+        done('Request should have been cancelled');
+      }, function(err) {
+        assert.ok(err.cancelled, 'Error should be flagged as cancelled');
+        assert.ok(!err.networkError, 'Error should not be a network error');
+        done();
+      });
+  });
+});
+describe('Formio cache', () => {
+  var formUrl = Formio.getBaseUrl() + '/cacheform';
+  var requests = 0;
+  beforeEach(() => {
+    requests = 0;
+    Formio.setCache('memory', {maxEntries: 2});
+    fetchMock.mock(formUrl + '/submission', 'GET', function() {
+      requests++;
+      return {
+        headers: {'Content-Type': 'application/json'},
+        body: [{_id: 'request' + requests}]
+      };
+    });
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    Formio.setCache('memory');
+  });
+
+  it('Should evict the least recently used entries', function() {
+    var cache = Formio.getCache();
+    cache.set('a', {value: 1});
+    cache.set('b', {value: 2});
+    cache.get('a');
+    cache.set('c', {value: 3});
+    assert.deepEqual(cache.keys(), ['a', 'c']);
+  });
+
+  it('Should return cached responses until they expire', function(done) {
+    var formio = new Formio(formUrl);
+    formio.loadSubmissions(null, {ttl: 60000})
+      .then(function() {
+        return formio.loadSubmissions();
+      })
+      .then(function(submissions) {
+        assert.equal(requests, 1, 'Second load should be cached');
+        assert.equal(submissions[0]._id, 'request1');
+        Formio.getCache().get(formUrl + '/submission').expires = Date.now() - 1;
+        return formio.loadSubmissions();
+      })
+      .then(function(submissions) {
+        assert.equal(requests, 2, 'Expired entries should be requested again');
+        assert.equal(submissions[0]._id, 'request2');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should only invalidate the affected urls', function(done) {
+    var cache = Formio.getCache();
+    cache.set(formUrl + '/submission?limit=10', {value: []});
+    cache.set(Formio.getBaseUrl() + '/otherform', {value: {}});
+    Formio.invalidateCache(formUrl + '/submission')
+      .then(function() {
+        assert.deepEqual(cache.keys(), [Formio.getBaseUrl() + '/otherform']);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should return stale responses with stale-while-revalidate', function(done) {
+    var formio = new Formio(formUrl);
+    formio.loadSubmissions(null, {ttl: 1})
+      .then(function() {
+        Formio.getCache().get(formUrl + '/submission').expires = Date.now() - 1;
+        return formio.loadSubmissions(null, {cachePolicy: 'stale-while-revalidate'});
+      })
+      .then(function(submissions) {
+        assert.equal(submissions[0]._id, 'request1', 'Should return the stale response');
+        assert.equal(requests, 2, 'Should revalidate in the background');
+        done();
+      })
+      .catch(done);
+  });
+});
+describe('Formio request deduplication', () => {
+  var formUrl = Formio.getBaseUrl() + '/dedupeform';
+  beforeEach(resetUrls);
+  afterEach(() => {
+    fetchMock.restore();
+    Formio.clearCache();
+  });
+
+  it('Should share the response of identical GET requests in flight', function(done) {
+    var requests = 0;
+    fetchMock.mock(formUrl + '/submission', 'GET', function() {
+      requests++;
+      return {
+        headers: {'Content-Type': 'application/json'},
+        body: [{_id: 'shared'}]
+      };
+    });
+    var formio = new Formio(formUrl);
+    Promise.all([
+      formio.loadSubmissions(null, {ignoreCache: true}),
+      formio.loadSubmissions(null, {ignoreCache: true})
+    ])
+      .then(function(results) {
+        assert.equal(requests, 1, 'Only one request should be sent');
+        assert.deepEqual(results[0], results[1]);
+        assert.notEqual(results[0][0], results[1][0], 'Each caller should receive its own copy');
+        return formio.loadSubmissions(null, {ignoreCache: true});
+      })
+      .then(function() {
+        assert.equal(requests, 2, 'Finished requests should not be shared');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should share requests with a signal and only reject the cancelled ones', function(done) {
+    var requests = 0;
+    var respond = null;
+    Formio.setFetch(function() {
+      requests++;
+      return new Promise(function(resolve) {
+        respond = resolve;
+      });
+    });
+    var finish = function(err) {
+      Formio.setFetch(null);
+      done(err);
+    };
+    var formio = new Formio(formUrl);
+    var first = Formio.createCancelToken();
+    var second = Formio.createCancelToken();
+    var cancelled = formio.loadSubmissions(null, {ignoreCache: true, signal: first.signal});
+    var loaded = formio.loadSubmissions(null, {ignoreCache: true, signal: second.signal});
+    setTimeout(function() {
+      first.cancel();
+      respond(new Response(JSON.stringify([{_id: 'shared'}]), {headers: {'Content-Type': 'application/json'}}));
+      cancelled
+        .then(function() {
+          throw new Error('The cancelled request should reject');
+        }, function(err) {
+          assert.ok(err.cancelled);
+          return loaded;
+        })
+        .then(function(result) {
+          assert.equal(requests, 1, 'Only one request should be sent');
+          assert.equal(result[0]._id, 'shared');
+          finish();
+        })
+        .catch(finish);
+    }, 10);
+  });
+
+  it('Should abort a shared request once all of its callers cancelled', function(done) {
+    var signals = [];
+    Formio.setFetch(function(url, options) {
+      signals.push(options.signal);
+      return new Promise(function() {});
+    });
+    var formio = new Formio(formUrl);
+    var tokens = [Formio.createCancelToken(), Formio.createCancelToken()];
+    var requests = tokens.map(function(token) {
+      return formio.loadSubmissions(null, {ignoreCache: true, signal: token.signal}).then(function() {
+        throw new Error('The request should be cancelled');
+      }, function(err) {
+        assert.ok(err.cancelled);
+      });
+    });
+    setTimeout(function() {
+      tokens[0].cancel();
+      assert.equal(signals.length, 1, 'Only one request should be sent');
+      assert.ok(!signals[0].aborted, 'The shared request should continue for the other caller');
+      tokens[1].cancel();
+      assert.ok(signals[0].aborted, 'The shared request should be aborted');
+      Promise.all(requests)
+        .then(function() {
+          Formio.setFetch(null);
+          done();
+        })
+        .catch(function(err) {
+          Formio.setFetch(null);
+          done(err);
+        });
+    }, 10);
+  });
+
+  it('Should revalidate cached responses with their ETag', function(done) {
+    var conditions = [];
+    fetchMock.mock(formUrl, 'GET', function(url, opts) {
+      conditions.push(opts.headers.get('If-None-Match'));
+      if (opts.headers.get('If-None-Match') === '"v1"') {
+        return {status: 304};
+      }
+      return {
+        headers: {'Content-Type': 'application/json', 'ETag': '"v1"'},
+        body: {_id: 'revalidated', title: 'First'}
+      };
+    });
+    var formio = new Formio(formUrl);
+    formio.loadForm()
+      .then(function() {
+        return formio.loadForm(null, {ignoreCache: true});
+      })
+      .then(function(form) {
+        assert.deepEqual(conditions, [null, '"v1"']);
+        assert.deepEqual(form, {_id: 'revalidated', title: 'First'});
+        return formio.loadForm(null, {ignoreCache: true, revalidate: false});
+      })
+      .then(function() {
+        assert.equal(conditions[2], null, 'Revalidation should be optional');
+        done();
+      })
+      .catch(done);
+  });
+});
+describe('Formio auth storage', () => {
+  afterEach(() => {
+    Formio.setToken(null);
+    Formio.setAuthStorage('local');
+  });
+
+  it('Should store the token and user in the configured storage', function() {
+    var storage = Formio.providers.auth.memory();
+    Formio.setAuthStorage(storage, {namespace: 'project1'});
+    Formio.setUser({_id: 'user1'});
+    Formio.setToken('token1');
+    assert.equal(storage.getItem('project1.formioToken'), 'token1');
+    assert.deepEqual(JSON.parse(storage.getItem('project1.formioUser')), {_id: 'user1'});
+    assert.equal(Formio.getToken(), 'token1');
+    assert.deepEqual(Formio.getUser(), {_id: 'user1'});
+  });
+
+  it('Should keep the tokens of different namespaces apart', function() {
+    var storage = Formio.providers.auth.memory();
+    storage.setItem('project1.formioToken', 'token1');
+    storage.setItem('project2.formioToken', 'token2');
+    Formio.setAuthStorage(storage, {namespace: 'project1'});
+    assert.equal(Formio.getToken(), 'token1');
+    Formio.setAuthStorage(storage, {namespace: 'project2'});
+    assert.equal(Formio.getToken(), 'token2');
+  });
+});
+describe('Formio token refresh', () => {
+  var createToken = function(payload) {
+    return 'header.' + btoa(JSON.stringify(payload)).replace(/=+$/, '') + '.signature';
+  };
+
+  afterEach(() => {
+    fetchMock.restore();
+    Formio.setTokenRefresh({auto: false, retry: false});
+    Formio.setToken(null);
+  });
+
+  it('Should decode the token expiration', function() {
+    var exp = Math.floor(Date.now() / 1000) + 3600;
+    assert.equal(Formio.getTokenExpiration(createToken({exp: exp})).getTime(), exp * 1000);
+    assert.equal(Formio.getTokenExpiration(createToken({})), null);
+    assert.equal(Formio.getTokenExpiration('invalid'), null);
+  });
+
+  it('Should emit formio.tokenExpiring for tokens about to expire', function() {
+    var expiring = sinon.spy();
+    Formio.events.once('formio.tokenExpiring', expiring);
+    Formio.setUser({_id: 'user1'});
+    Formio.setToken(createToken({exp: Math.floor(Date.now() / 1000) + 30}));
+    assert.ok(expiring.calledOnce, 'formio.tokenExpiring should be emitted');
+  });
+
+  it('Should refresh the token and retry a rejected request once', function(done) {
+    var url = Formio.getBaseUrl() + '/refreshform';
+    var user = {_id: 'user1'};
+    Formio.setTokenRefresh({retry: true});
+    Formio.token = 'oldToken';
+    fetchMock.mock(Formio.getBaseUrl() + '/current', 'GET', {
+      headers: {
+        'Content-Type': 'application/json',
+        'x-jwt-token': 'newToken'
+      },
+      body: user
+    });
+    fetchMock.mock(url, 'GET', function(url, opts) {
+      if (opts.headers.get('x-jwt-token') !== 'newToken') {
+        return {status: 440, headers: {'Content-Type': 'text/plain'}, body: 'Token Expired'};
+      }
+      return {
+        headers: {'Content-Type': 'application/json'},
+        body: {_id: 'refreshed'}
+      };
+    });
+    Formio.request(url, 'GET', null, null, {ignoreCache: true})
+      .then(function(result) {
+        assert.equal(result._id, 'refreshed');
+        assert.equal(Formio.getToken(), 'newToken');
+        assert.deepEqual(Formio.getUser(), user);
+        done();
+      })
+      .catch(done);
+  });
+});
+describe('Formio session sync', () => {
+  var storageEvent = function(key, value) {
+    var event = document.createEvent('Event');
+    event.initEvent('storage', false, false);
+    event.key = key;
+    event.newValue = value;
+    window.dispatchEvent(event);
+  };
+
+  afterEach(() => {
+    Formio.setToken(null);
+  });
+
+  it('Should log out when another tab removes the token', function() {
+    var logout = sinon.spy();
+    Formio.setUser({_id: 'user1'});
+    Formio.setToken('token1');
+    Formio.getCache().set('cached', {value: {}});
+    Formio.events.once('formio.logout', logout);
+    storageEvent('formioToken', null);
+    assert.equal(Formio.getToken(), '');
+    assert.ok(logout.calledOnce, 'formio.logout should be emitted');
+    assert.deepEqual(Formio.getCache().keys(), [], 'The cache should be cleared');
+  });
+
+  it('Should emit formio.user when another tab changes the user', function() {
+    var userChanged = sinon.spy();
+    Formio.events.once('formio.user', userChanged);
+    storageEvent('formioUser', JSON.stringify({_id: 'user2'}));
+    assert.ok(userChanged.calledWith({_id: 'user2'}), 'formio.user should be emitted with the user');
+    storageEvent('formioToken', 'token2');
+    assert.equal(Formio.getToken(), 'token2');
+  });
+});
+describe('Formio pagination', () => {
+  var formUrl = Formio.getBaseUrl() + '/pagedform';
+  var submissions = _.range(25).map(function(index) {
+    return {_id: 'submission' + index, data: {index: index}};
+  });
+  var requested = [];
+  beforeEach(() => {
+    requested = [];
+    fetchMock.mock(new RegExp('^' + _.escapeRegExp(formUrl + '/submission')), 'GET', function(url) {
+      var skip = Number(url.match(/skip=(\d+)/)[1]);
+      var limit = Number(url.match(/limit=(\d+)/)[1]);
+      var page = submissions.slice(skip, skip + limit);
+      requested.push(skip);
+      return {
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Range': skip + '-' + (skip + page.length - 1) + '/' + submissions.length
+        },
+        body: page
+      };
+    });
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  it('Should iterate over every page', function(done) {
+    var formio = new Formio(formUrl);
+    var pages = [];
+    formio.iterateSubmissions(null, {pageSize: 10, ignoreCache: true})
+      .eachPage(function(page) {
+        pages.push(page.length);
+      })
+      .then(function() {
+        assert.deepEqual(pages, [10, 10, 5]);
+        assert.deepEqual(requested, [0, 10, 20]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should stop when eachPage returns false', function(done) {
+    var formio = new Formio(formUrl);
+    var pages = 0;
+    formio.iterateSubmissions('?data.index__gte=0', {pageSize: 10, ignoreCache: true})
+      .eachPage(function() {
+        pages++;
+        return false;
+      })
+      .then(function() {
+        assert.equal(pages, 1);
+        assert.deepEqual(requested, [0]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should load all submissions within the cap', function(done) {
+    var formio = new Formio(formUrl);
+    formio.loadAllSubmissions(null, {pageSize: 10, prefetch: 2, ignoreCache: true})
+      .then(function(result) {
+        assert.deepEqual(_.map(result, '_id'), _.map(submissions, '_id'));
+        return formio.loadAllSubmissions(null, {pageSize: 10, max: 15, ignoreCache: true});
+      })
+      .then(function() {
+        done('Should reject when there are more submissions than the cap');
+      }, function(err) {
+        assert.equal(err, 'More than 15 submissions were found.');
+        done();
+      });
+  });
+});
+describe('Formio query builder', () => {
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  it('Should encode filters, operators and parameters', () => {
+    var query = Formio.query({'data.status': 'open'})
+      .gte('created', new Date(Date.UTC(2017, 0, 1)))
+      .in('data.state', ['TX', 'CA'])
+      .regex('data.name', /^jo/i)
+      .exists('data.email')
+      .sort({created: -1, 'data.name': 1})
+      .select('data.name', 'data.status')
+      .limit(25)
+      .skip(50);
+    assert.equal(query.toString(), [
+      'data.status=open',
+      'created__gte=2017-01-01T00%3A00%3A00.000Z',
+      'data.state__in=TX%2CCA',
+      'data.name__regex=%2F%5Ejo%2Fi',
+      'data.email__exists=true',
+      'sort=-created%20data.name',
+      'select=data.name%2Cdata.status',
+      'limit=25',
+      'skip=50'
+    ].join('&'));
+  });
+
+  it('Should keep serializing params as strings', () => {
+    var date = new Date(Date.UTC(2017, 0, 1));
+    assert.equal(Formio.serialize({created__gt: date, limit: 10}), 'created__gt=' + encodeURIComponent(String(date)) + '&limit=10');
+  });
+
+  it('Should not change the query when cloned', () => {
+    var query = Formio.query().eq('data.a', 1).sort('created');
+    var clone = query.clone().eq('data.b', 2).sort('modified');
+    assert.equal(query.toString(), 'data.a=1&sort=created');
+    assert.equal(clone.toString(), 'data.a=1&data.b=2&sort=created%20modified');
+  });
+
+  it('Should load submissions with a query', function(done) {
+    var formUrl = Formio.getBaseUrl() + '/queryform';
+    var formio = new Formio(formUrl);
+    fetchMock.mock(formUrl + '/submission?data.age__gt=21&limit=5', 'GET', {
+      headers: {'Content-Type': 'application/json'},
+      body: [{_id: 'adult', data: {age: 30}}]
+    });
+    formio.loadSubmissions(Formio.query().gt('data.age', 21).limit(5), {ignoreCache: true})
+      .then(function(result) {
+        assert.equal(result.length, 1);
+        assert.deepEqual(result[0], {_id: 'adult', data: {age: 30}});
+        done();
+      })
+      .catch(done);
+  });
+});
+describe('Formio batch submissions', () => {
+  var formUrl = Formio.getBaseUrl() + '/batchform';
+
+  afterEach(() => {
+    fetchMock.restore();
+    Formio.deregisterPlugin('batch-test');
+  });
+
+  it('Should save every submission and report the ones that failed', function(done) {
+    var formio = new Formio(formUrl);
+    var inFlight = 0;
+    var maxInFlight = 0;
+    var progress = [];
+
+    // Answer the requests from a plugin so they stay in flight for a while.
+    Formio.registerPlugin({
+      request: function(requestArgs) {
+        var data = requestArgs.data.data;
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        return new Promise(function(resolve, reject) {
+          setTimeout(function() {
+            inFlight--;
+            if (data.index === 2) {
+              return reject('Invalid submission');
+            }
+            resolve({_id: 'submission' + data.index, data: data});
+          }, 5);
+        });
+      }
+    }, 'batch-test');
+    var submissions = _.range(5).map(function(index) {
+      return {data: {index: index}};
+    });
+    formio.saveSubmissions(submissions, {
+      concurrency: 2,
+      progress: function(status) {
+        progress.push(status.completed + '/' + status.total);
+      }
+    })
+      .then(function(results) {
+        assert.equal(maxInFlight, 2);
+        assert.deepEqual(progress, ['1/5', '2/5', '3/5', '4/5', '5/5']);
+        assert.deepEqual(_.map(results, 'success'), [true, true, false, true, true]);
+        assert.deepEqual(_.map(results, 'id'), ['submission0', 'submission1', null, 'submission3', 'submission4']);
+        assert.equal(results[2].error, 'Invalid submission');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should delete submissions by id', function(done) {
+    var formio = new Formio(formUrl);
+    fetchMock.mock(formUrl + '/submission/a', 'DELETE', {status: 200, body: 'OK'});
+    fetchMock.mock(formUrl + '/submission/b', 'DELETE', {status: 404, body: 'Not found'});
+    formio.deleteSubmissions(['a', {_id: 'b'}])
+      .then(function(results) {
+        assert.deepEqual(_.map(results, 'id'), ['a', 'b']);
+        assert.deepEqual(_.map(results, 'success'), [true, false]);
+        done();
+      })
+      .catch(done);
+  });
+});
+describe('Formio environment injection', () => {
+  beforeEach(resetUrls);
+  afterEach(() => {
+    Formio.setFetch(null);
+    Formio.setUploadTransport((typeof XMLHttpRequest !== 'undefined') ? 'xhr' : 'fetch');
+  });
+
+  it('Should send requests with the provided fetch', function(done) {
+    var requested = [];
+    Formio.setFetch(function(url, options) {
+      requested.push(options.method + ' ' + url);
+      return Promise.resolve(new Response(JSON.stringify({_id: 'injected'}), {
+        status: 200,
+        headers: {'Content-Type': 'application/json'}
+      }));
+    });
+    var formio = new Formio(Formio.getBaseUrl() + '/injectedform');
+    formio.loadForm(null, {ignoreCache: true})
+      .then(function(form) {
+        assert.equal(form._id, 'injected');
+        assert.deepEqual(requested, ['GET ' + Formio.getBaseUrl() + '/injectedform']);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should upload files through the upload transport', function(done) {
+    var uploads = [];
+    Formio.setUploadTransport(function(request) {
+      uploads.push(request);
+      return Promise.resolve({
+        status: 200,
+        response: JSON.stringify({data: {id: 'file1'}}),
+        url: request.url
+      });
+    });
+    var formio = new Formio(Formio.getBaseUrl() + '/uploadform');
+    var file = {size: 4, type: 'text/plain'};
+    formio.uploadFile('url', file, 'test.txt', 'docs/', null, 'https://files.example.com')
+      .then(function(result) {
+        assert.equal(uploads.length, 1);
+        assert.equal(uploads[0].url, 'https://files.example.com');
+        assert.deepEqual(uploads[0].data, {dir: 'docs/', name: 'test.txt', file: file});
+        assert.deepEqual(result, {
+          storage: 'url',
+          name: 'test.txt',
+          url: 'https://files.example.com/test.txt',
+          size: 4,
+          type: 'text/plain',
+          data: {id: 'file1'}
+        });
+        done();
+      })
+      .catch(done);
+  });
+});
+describe('Formio chunked uploads', () => {
+  var fileUrl = 'https://files.example.com';
+  var server = null;
+  var storage = null;
+  var createStorage = function() {
+    var items = {};
+    return {
+      items: items,
+      getItem: function(key) {
+        return items.hasOwnProperty(key) ? items[key] : null;
+      },
+      setItem: function(key, value) {
+        items[key] = value;
+      },
+      removeItem: function(key) {
+        delete items[key];
+      }
+    };
+  };
+
+  // A stand-in for a tus server which keeps the offsets of its uploads.
+  var createServer = function() {
+    var stand = {uploads: {}, requests: [], fail: null};
+    stand.transport = function(request) {
+      var respond = function(status, headers, response) {
+        return Promise.resolve({status: status, response: response || '', url: request.url, headers: headers || {}});
+      };
+      stand.requests.push(request.method + ' ' + request.url.replace(fileUrl, '') +
+        (request.headers['Upload-Offset'] ? (' ' + request.headers['Upload-Offset']) : ''));
+      if (request.method === 'POST') {
+        var id = 'upload' + (Object.keys(stand.uploads).length + 1);
+        stand.uploads[id] = {length: parseInt(request.headers['Upload-Length'], 10), offset: 0, chunks: []};
+        return respond(201, {location: '/files/' + id});
+      }
+      var upload = stand.uploads[request.url.split('/').pop()];
+      if (!upload) {
+        return respond(404, {}, 'Not found');
+      }
+      if (request.method === 'HEAD') {
+        return respond(200, {'upload-offset': String(upload.offset)});
+      }
+      if (stand.fail && stand.fail(upload)) {
+        return Promise.reject(new Formio.NetworkError('Connection lost', {url: request.url}));
+      }
+      if (parseInt(request.headers['Upload-Offset'], 10) !== upload.offset) {
+        return respond(409, {}, 'Offset mismatch');
+      }
+      upload.offset += request.body.size;
+      upload.chunks.push(request.body.size);
+      if (upload.offset < upload.length) {
+        return respond(204, {'upload-offset': String(upload.offset)});
+      }
+      return respond(200, {'upload-offset': String(upload.offset)}, JSON.stringify({data: {id: 'chunked'}}));
+    };
+    return stand;
+  };
+
+  beforeEach(() => {
+    server = createServer();
+    storage = createStorage();
+    Formio.setUploadTransport(server.transport);
+  });
+  afterEach(() => {
+    Formio.setUploadTransport((typeof XMLHttpRequest !== 'undefined') ? 'xhr' : 'fetch');
+  });
+
+  var upload = function(fileName, options) {
+    var formio = new Formio(Formio.getBaseUrl() + '/uploadform');
+    var file = new Blob(['abcdefghij'], {type: 'text/plain'});
+    return formio.uploadFile('url', file, fileName, 'docs/', options.progress, fileUrl, _.assign({
+      chunked: true,
+      chunkSize: 4,
+      retryDelay: 1,
+      storage: storage
+    }, options));
+  };
+
+  it('Should upload files in chunks and report the progress', function(done) {
+    var progress = [];
+    upload('test.txt', {
+      progress: function(event) {
+        progress.push(event.loaded + '/' + event.total);
+      }
+    })
+      .then(function(result) {
+        assert.deepEqual(server.requests, [
+          'POST ',
+          'PATCH /files/upload1 0',
+          'PATCH /files/upload1 4',
+          'PATCH /files/upload1 8'
+        ]);
+        assert.deepEqual(server.uploads.upload1.chunks, [4, 4, 2]);
+        assert.equal(progress[progress.length - 1], '10/10');
+        assert.deepEqual(result, {
+          storage: 'url',
+          name: 'test.txt',
+          url: fileUrl + '/test.txt',
+          size: 10,
+          type: 'text/plain',
+          data: {id: 'chunked'}
+        });
+        assert.deepEqual(storage.items, {}, 'Finished uploads should not be stored');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should retry failed chunks from the offset of the server', function(done) {
+    var failed = false;
+    server.fail = function(upload) {
+      if (!failed && (upload.offset === 4)) {
+        failed = true;
+        return true;
+      }
+      return false;
+    };
+    upload('test.txt', {})
+      .then(function() {
+        assert.deepEqual(server.requests, [
+          'POST ',
+          'PATCH /files/upload1 0',
+          'PATCH /files/upload1 4',
+          'HEAD /files/upload1',
+          'PATCH /files/upload1 4',
+          'PATCH /files/upload1 8'
+        ]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should resume a stored upload after a reload', function(done) {
+    server.fail = function(upload) {
+      return upload.offset === 8;
+    };
+    upload('test.txt', {retries: 0})
+      .then(function() {
+        done('The upload should have failed');
+      }, function(err) {
+        assert(err instanceof Formio.NetworkError);
+        assert.equal(Object.keys(storage.items).length, 1);
+        server.fail = null;
+        server.requests = [];
+        return upload('renamed.txt', {});
+      })
+      .then(function(result) {
+        assert.deepEqual(server.requests, [
+          'HEAD /files/upload1',
+          'PATCH /files/upload1 8'
+        ]);
+        assert.equal(result.name, 'test.txt', 'The resumed upload should keep its name');
+        assert.deepEqual(storage.items, {});
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should pause and resume uploads', function(done) {
+    var handle = null;
+    var uploaded = false;
+    upload('test.txt', {
+      onStart: function(upload) {
+        handle = upload;
+        upload.pause();
+      }
+    })
+      .then(function() {
+        uploaded = true;
+      })
+      .catch(done);
+    setTimeout(function() {
+      assert.equal(uploaded, false);
+      assert.deepEqual(server.requests, ['POST ']);
+      handle.resume();
+      setTimeout(function() {
+        assert.equal(uploaded, true);
+        assert.equal(server.uploads.upload1.offset, 10);
+        done();
+      }, 20);
+    }, 20);
+  });
+
+  it('Should reject aborted uploads with a cancel error', function(done) {
+    upload('test.txt', {
+      onStart: function(upload) {
+        upload.abort();
+      }
+    })
+      .then(function() {
+        done('The upload should have been aborted');
+      }, function(err) {
+        assert(err instanceof Formio.CancelError);
+        assert.deepEqual(storage.items, {});
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should reject failed chunks with the error of the server', function(done) {
+    var transport = server.transport;
+    Formio.setUploadTransport(function(request) {
+      if (request.method === 'PATCH') {
+        return Promise.resolve({status: 403, response: 'Upload expired', url: request.url, headers: {}});
+      }
+      return transport(request);
+    });
+    upload('test.txt', {})
+      .then(function() {
+        done('The upload should have failed');
+      }, function(err) {
+        assert(err instanceof Formio.AuthError);
+        assert.equal(err.status, 403);
+        assert.equal(err.message, 'Upload expired');
+        assert.deepEqual(server.requests, ['POST '], 'Only server failures should be retried');
+        done();
+      })
+      .catch(done);
+  });
+});
+describe('Formio base64 storage', () => {
+  it('Should store files within the submission as data urls', function(done) {
+    var file = new Blob(['test'], {type: 'text/plain'});
+    file.name = 'original.txt';
+    Formio.prototype.uploadFile.call(Formio, 'base64', file, 'test.txt', '', null, null)
+      .then(function(result) {
+        assert.deepEqual(result, {
+          storage: 'base64',
+          name: 'test.txt',
+          url: 'data:text/plain;base64,dGVzdA==',
+          size: 4,
+          type: 'text/plain',
+          originalName: 'original.txt'
+        });
+        return Formio.prototype.downloadFile.call(Formio, result);
+      })
+      .then(function(result) {
+        assert.equal(result.url, 'data:text/plain;base64,dGVzdA==');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should not store files larger than the maximum size', function(done) {
+    var file = new Blob(['too large'], {type: 'text/plain'});
+    var formio = new Formio(Formio.getBaseUrl() + '/uploadform');
+    formio.uploadFile('base64', file, 'test.txt', '', null, null, {maxSize: 4})
+      .then(function() {
+        done(new Error('The file should not be stored'));
+      })
+      .catch(function(err) {
+        assert(err instanceof Formio.ValidationError);
+        assert.equal(err.message, 'File is too large. The maximum size is 4 Bytes.');
+        done();
+      });
+  });
+});
+describe('Formio storage providers', () => {
+  var requests = null;
+  var respond = null;
+  var formio = null;
+  var file = null;
+
+  beforeEach(() => {
+    requests = [];
+    respond = function(request) {
+      return Promise.resolve({status: 200, response: '', url: request.url, headers: {}});
+    };
+    Formio.setUploadTransport(function(request) {
+      requests.push(request);
+      return respond(request);
+    });
+    formio = new Formio(Formio.getBaseUrl() + '/uploadform');
+    file = new Blob(['test'], {type: 'text/plain'});
+  });
+  afterEach(() => {
+    delete Formio.providers.storage.custom;
+    Formio.setUploadTransport((typeof XMLHttpRequest !== 'undefined') ? 'xhr' : 'fetch');
+  });
+
+  it('Should upload files with registered storage providers', function(done) {
+    Formio.registerStorageProvider('custom', function(formio) {
+      var provider = Formio.storageProvider(formio);
+      return {
+        uploadFile: function(file, fileName, dir, progress, url) {
+          return provider.send({method: 'PUT', url: url + '/' + fileName, body: file}).then(function(result) {
+            return provider.fileInfo('custom', file, fileName, {url: result.url});
+          });
+        },
+        downloadFile: function(file) {
+          return Promise.resolve(file);
+        }
+      };
+    });
+    assert.equal(Formio.providers.storage.custom.title, 'custom');
+    assert.throws(function() {
+      Formio.registerStorageProvider('invalid', {});
+    });
+    formio.uploadFile('custom', file, 'test.txt', '', null, 'https://files.example.com')
+      .then(function(result) {
+        assert.equal(requests[0].method, 'PUT');
+        assert.deepEqual(result, {
+          storage: 'custom',
+          name: 'test.txt',
+          size: 4,
+          type: 'text/plain',
+          url: 'https://files.example.com/test.txt'
+        });
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should upload files to presigned urls', function(done) {
+    var signedUrl = 'https://bucket.example.com/docs/test.txt?X-Amz-Signature=abc';
+    respond = function(request) {
+      return Promise.resolve({
+        status: 200,
+        response: (request.method === 'POST') ? JSON.stringify({url: signedUrl, key: 'docs/test.txt'}) : '',
+        url: request.url,
+        headers: {}
+      });
+    };
+    formio.uploadFile('presigned', file, 'test.txt', 'docs/', null, 'https://api.example.com/sign')
+      .then(function(result) {
+        assert.equal(requests.length, 2);
+        assert.equal(requests[0].url, 'https://api.example.com/sign');
+        assert.deepEqual(JSON.parse(requests[0].body), {name: 'test.txt', dir: 'docs/', size: 4, type: 'text/plain'});
+        assert.equal(requests[1].method, 'PUT');
+        assert.equal(requests[1].url, signedUrl);
+        assert.equal(requests[1].body, file);
+        assert.equal(requests[1].headers['Content-Type'], 'text/plain');
+        assert.ok(!requests[1].headers['x-jwt-token'], 'The token should not be sent to the storage');
+        assert.deepEqual(result, {
+          storage: 'presigned',
+          name: 'test.txt',
+          size: 4,
+          type: 'text/plain',
+          key: 'docs/test.txt',
+          url: 'https://bucket.example.com/docs/test.txt',
+          signUrl: 'https://api.example.com/sign'
+        });
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should download private presigned files from signing urls with a query', function(done) {
+    var urls = [];
+    formio = new Formio(Formio.getBaseUrl() + '/uploadform', {plugins: [{
+      request: function(args) {
+        urls.push(args.url);
+        return {url: 'https://bucket.example.com/docs/test.txt?X-Amz-Signature=abc'};
+      }
+    }]});
+    Formio.providers.storage.presigned(formio).downloadFile({
+      storage: 'presigned',
+      key: 'docs/test file.txt',
+      signUrl: 'https://api.example.com/sign?bucket=docs'
+    })
+      .then(function(result) {
+        assert.deepEqual(urls, ['https://api.example.com/sign?bucket=docs&key=docs%2Ftest%20file.txt']);
+        assert.equal(result.url, 'https://bucket.example.com/docs/test.txt?X-Amz-Signature=abc');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should upload files to Azure Blob Storage with SAS urls', function(done) {
+    var sasUrl = 'https://account.blob.core.windows.net/files/docs/test.txt?sv=2017-04-17&sig=abc';
+    respond = function(request) {
+      return Promise.resolve({
+        status: (request.method === 'POST') ? 200 : 201,
+        response: (request.method === 'POST') ? JSON.stringify({url: sasUrl, name: 'docs/test.txt'}) : '',
+        url: request.url,
+        headers: {}
+      });
+    };
+    formio.uploadFile('azure', file, 'test.txt', 'docs/', null, null)
+      .then(function(result) {
+        assert.equal(requests[0].url, formio.formUrl + '/storage/azure');
+        assert.equal(requests[1].method, 'PUT');
+        assert.equal(requests[1].url, sasUrl);
+        assert.equal(requests[1].headers['x-ms-blob-type'], 'BlockBlob');
+        assert.deepEqual(result, {
+          storage: 'azure',
+          name: 'test.txt',
+          size: 4,
+          type: 'text/plain',
+          key: 'docs/test.txt',
+          url: 'https://account.blob.core.windows.net/files/docs/test.txt'
+        });
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should reject with the message of the server', function(done) {
+    respond = function(request) {
+      return Promise.resolve({status: 400, response: JSON.stringify({message: 'Invalid file'}), url: request.url});
+    };
+    formio.uploadFile('url', file, 'test.txt', '', null, 'https://files.example.com')
+      .then(function() {
+        done(new Error('The upload should fail'));
+      }, function(err) {
+        assert(err instanceof Formio.Error);
+        assert.equal(err.status, 400);
+        assert.equal(err.message, 'Invalid file');
+        assert.equal(err.url, 'https://files.example.com');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should abort uploads', function(done) {
+    respond = function(request) {
+      return new Promise(function(resolve, reject) {
+        request.signal.addEventListener('abort', function() {
+          reject(new Formio.CancelError('The upload was aborted'));
+        });
+      });
+    };
+    formio.uploadFile('url', file, 'test.txt', '', null, 'https://files.example.com', {
+      onStart: function(upload) {
+        setTimeout(function() {
+          upload.abort();
+        }, 10);
+      }
+    })
+      .then(function() {
+        done(new Error('The upload should be aborted'));
+      }, function(err) {
+        assert(err instanceof Formio.CancelError);
+        assert.equal(err.message, 'The upload was aborted');
+        done();
+      })
+      .catch(done);
+  });
+});
+describe('Formio clients', () => {
+  var baseUrl = 'https://api.clients.example.com';
+  var first = null;
+  var second = null;
+  beforeEach(() => {
+    first = Formio.createClient({baseUrl: baseUrl, projectUrl: baseUrl + '/first', authStorage: 'memory'});
+    second = Formio.createClient({baseUrl: baseUrl, projectUrl: baseUrl + '/second', authStorage: 'memory'});
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+  });
+
+  it('Should keep the token of every client separate', function(done) {
+    var tokens = [];
+    fetchMock.mock(new RegExp('^' + _.escapeRegExp(baseUrl) + '/(first|second)/form/'), 'GET', function(url, opts) {
+      tokens.push(opts.headers.get('x-jwt-token'));
+      return {
+        headers: {'Content-Type': 'application/json'},
+        body: {}
+      };
+    });
+    fetchMock.mock(baseUrl + '/current', 'GET', {
+      headers: {'Content-Type': 'application/json'},
+      body: {_id: 'user'}
+    });
+    first.setToken('firstToken');
+    second.setToken('secondToken');
+    assert.equal(Formio.getToken(), '');
+    (new Formio(baseUrl + '/first/form/one', {client: first})).loadForm()
+      .then(function() {
+        return (new Formio(baseUrl + '/second/form/two', {client: second})).loadForm();
+      })
+      .then(function() {
+        assert.deepEqual(tokens, ['firstToken', 'secondToken']);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should keep the cache and plugins of every client separate', function(done) {
+    var requests = 0;
+    var url = baseUrl + '/first/form/cached';
+    fetchMock.mock(url, 'GET', function() {
+      requests++;
+      return {
+        headers: {'Content-Type': 'application/json'},
+        body: {_id: 'cached'}
+      };
+    });
+    var plugin = {
+      request: sinon.spy(function() {
+        return null;
+      })
+    };
+    first.registerPlugin(plugin, 'clientPlugin');
+    assert.equal(Formio.getPlugin('clientPlugin'), null);
+    (new Formio(url, {client: first})).loadForm()
+      .then(function() {
+        return (new Formio(url, {client: second})).loadForm();
+      })
+      .then(function() {
+        assert.equal(requests, 2, 'The cache of the first client must not be used by the second client');
+        assert.ok(plugin.request.calledOnce, 'Only requests of the first client must reach its plugins');
+        return (new Formio(url, {client: first})).loadForm();
+      })
+      .then(function() {
+        assert.equal(requests, 2);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should use the urls of the client', () => {
+    var formio = new Formio('/first/form/relative', {client: first});
+    assert.equal(formio.formUrl, baseUrl + '/first/form/relative');
+    assert.equal(first.getProjectUrl(), baseUrl + '/first');
+    assert.notEqual(Formio.getBaseUrl(), baseUrl);
+  });
+});
+describe('Formio plugin scopes', () => {
+  var formUrl = Formio.getBaseUrl() + '/scopedform';
+  beforeEach(resetUrls);
+  afterEach(() => {
+    fetchMock.restore();
+    Formio.deregisterPlugin('first');
+    Formio.deregisterPlugin('second');
+    Formio.deregisterPlugin('third');
+  });
+
+  it('Should only apply instance plugins to that instance', function(done) {
+    fetchMock.mock(formUrl, 'GET', {
+      headers: {'Content-Type': 'application/json'},
+      body: {_id: 'scoped'}
+    });
+    var plugin = {
+      preRequest: sinon.spy()
+    };
+    var scoped = new Formio(formUrl, {plugins: [plugin]});
+    var unscoped = new Formio(formUrl);
+    scoped.loadForm(null, {ignoreCache: true})
+      .then(function() {
+        return unscoped.loadForm(null, {ignoreCache: true});
+      })
+      .then(function() {
+        assert.ok(plugin.preRequest.calledOnce, 'The plugin must only see the requests of its instance');
+        assert.equal(plugin.preRequest.firstCall.args[0].formio, scoped);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should await async alter hooks in order', function(done) {
+    var order = [];
+    Formio.registerPlugin({
+      responseAlter: function(result) {
+        order.push('second');
+        return new Promise(function(resolve) {
+          setTimeout(function() {
+            resolve(_.assign({}, result, {signed: true}));
+          }, 5);
+        });
+      }
+    }, 'second');
+    Formio.registerPlugin({
+      priority: 10,
+      responseAlter: function(result) {
+        order.push('first');
+        return _.assign({}, result, {first: true});
+      }
+    }, 'first');
+    Formio.registerPlugin({
+      responseAlter: function(result) {
+        order.push('third');
+        return result;
+      }
+    }, 'third');
+    fetchMock.mock(formUrl, 'GET', {
+      headers: {'Content-Type': 'application/json'},
+      body: {_id: 'scoped'}
+    });
+    (new Formio(formUrl)).loadForm(null, {ignoreCache: true})
+      .then(function(form) {
+        assert.deepEqual(order, ['first', 'second', 'third']);
+        assert.deepEqual(form, {_id: 'scoped', first: true, signed: true});
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should let plugins transform errors', function(done) {
+    Formio.registerPlugin({
+      responseErrorAlter: function(err, requestArgs) {
+        return {message: String(err), url: requestArgs.url};
+      }
+    }, 'first');
+    fetchMock.mock(formUrl, 'GET', {status: 400, body: 'Invalid'});
+    (new Formio(formUrl)).loadForm(null, {ignoreCache: true})
+      .then(function() {
+        done('The request should have failed');
+      }, function(err) {
+        assert.deepEqual(err, {message: 'Invalid', url: formUrl});
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should order plugins with before and after', () => {
+    Formio.registerPlugin({priority: 10, after: 'third'}, 'first');
+    Formio.registerPlugin({priority: 5}, 'second');
+    Formio.registerPlugin({before: 'second'}, 'third');
+    assert.deepEqual(_.map(Formio.plugins, '__name'), ['third', 'first', 'second']);
+  });
+});
+
+describe('Mock backend plugin', () => {
+  var projectUrl = 'https://mock.localhost:3000';
+  var plugin = null;
+  beforeEach(() => {
+    plugin = Formio.availablePlugins.mock({
+      projectUrl: projectUrl,
+      forms: [{
+        title: 'Contact',
+        name: 'contact',
+        path: 'contact',
+        components: [
+          {type: 'textfield', key: 'name', label: 'Name', input: true, validate: {required: true}},
+          {type: 'email', key: 'email', label: 'Email', input: true},
+          {type: 'number', key: 'age', label: 'Age', input: true, validate: {min: 18}}
+        ]
+      }]
+    });
+    Formio.registerPlugin(plugin, 'mock');
+  });
+
+  afterEach(() => {
+    Formio.deregisterPlugin(plugin);
+  });
+
+  it('Should load forms by path and id', function(done) {
+    var formio = new Formio(projectUrl + '/contact');
+    formio.loadForm()
+      .then(function(form) {
+        assert.equal(form.title, 'Contact');
+        assert.equal(form._id.length, 24);
+        return (new Formio(projectUrl + '/form/' + form._id)).loadForm();
+      })
+      .then(function(form) {
+        assert.equal(form.path, 'contact');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should create, update and delete submissions', function(done) {
+    var formio = new Formio(projectUrl + '/contact');
+    var id = null;
+    formio.saveSubmission({data: {name: 'Joe', email: 'joe@example.com'}})
+      .then(function(submission) {
+        id = submission._id;
+        assert.equal(id.length, 24);
+        assert.deepEqual(submission.data, {name: 'Joe', email: 'joe@example.com'});
+        assert.ok(submission.form, 'The submission should reference its form');
+        return formio.saveSubmission({_id: id, data: {name: 'Jane'}});
+      })
+      .then(function(submission) {
+        assert.equal(submission._id, id);
+        assert.deepEqual(submission.data, {name: 'Jane'});
+        return (new Formio(projectUrl + '/contact/submission/' + id)).deleteSubmission();
+      })
+      .then(function() {
+        return (new Formio(projectUrl + '/contact/submission/' + id)).loadSubmission();
+      })
+      .then(function() {
+        done('The submission should have been deleted');
+      }, function(err) {
+        assert.equal(err, 'Not found');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should return validation errors', function(done) {
+    var formio = new Formio(projectUrl + '/contact');
+    formio.saveSubmission({data: {email: 'invalid', age: 12}})
+      .then(function() {
+        done('The submission should have failed validation');
+      }, function(err) {
+        assert.equal(err.name, 'ValidationError');
+        assert.deepEqual(_.map(err.details, 'path'), ['name', 'email', 'age']);
+        assert.deepEqual(_.map(err.details, 'type'), ['any.required', 'string.email', 'number.min']);
+        assert.equal(err.details[0].message, '"Name" is required');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should page and filter submissions', function(done) {
+    var formio = new Formio(projectUrl + '/contact');
+    var saves = [];
+    for (var i = 0; i < 15; i++) {
+      saves.push({data: {name: 'Person ' + i, age: 20 + i}});
+    }
+    saves.reduce(function(promise, submission) {
+      return promise.then(function() {
+        return formio.saveSubmission(submission);
+      });
+    }, Promise.resolve())
+      .then(function() {
+        return formio.loadSubmissions();
+      })
+      .then(function(submissions) {
+        assert.equal(submissions.length, 10);
+        assert.equal(submissions.skip, 0);
+        assert.equal(submissions.serverCount, 15);
+        return formio.loadSubmissions(Formio.query().gte('data.age', 30).sort('-data.age').limit(3).skip(1));
+      })
+      .then(function(submissions) {
+        assert.deepEqual(_.map(submissions, 'data.age'), [33, 32, 31]);
+        assert.equal(submissions.skip, 1);
+        assert.equal(submissions.limit, 3);
+        assert.equal(submissions.serverCount, 5);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should leave other urls alone', () => {
+    assert.equal(plugin.request({url: Formio.getBaseUrl() + '/contact', method: 'GET'}), null);
+  });
+});
+
+describe('Formio errors', () => {
+  var formUrl = Formio.getBaseUrl() + '/errorform';
+  beforeEach(resetUrls);
+  afterEach(() => {
+    fetchMock.restore();
+    Formio.setUploadTransport((typeof XMLHttpRequest !== 'undefined') ? 'xhr' : 'fetch');
+  });
+
+  it('Should reject invalid submissions with a validation error', function(done) {
+    var details = [{message: '"Name" is required', path: 'name', type: 'any.required', context: {key: 'name'}}];
+    fetchMock.mock(formUrl + '/submission', 'POST', {
+      status: 400,
+      headers: {'Content-Type': 'application/json', 'x-request-id': 'abc'},
+      body: {name: 'ValidationError', details: details}
+    });
+    (new Formio(formUrl)).saveSubmission({data: {}})
+      .then(function() {
+        done('The request should have failed');
+      }, function(err) {
+        assert.ok(err instanceof Formio.ValidationError);
+        assert.ok(err instanceof Formio.Error);
+        assert.ok(err instanceof Error);
+        assert.equal(err.name, 'ValidationError');
+        assert.equal(err.status, 400);
+        assert.equal(err.url, formUrl + '/submission');
+        assert.equal(err.method, 'POST');
+        assert.equal(err.headers['x-request-id'], 'abc');
+        assert.deepEqual(err.details, details);
+        assert.equal(err.message, '"Name" is required');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should choose the error class by the response status', function(done) {
+    fetchMock.mock(formUrl + '/submission/missing', 'GET', {status: 404, body: 'Not found'});
+    fetchMock.mock(formUrl + '/submission/broken', 'GET', {status: 500, body: 'Internal error'});
+    fetchMock.mock(formUrl + '/submission/private', 'GET', {status: 403, body: 'Forbidden'});
+    var load = function(id) {
+      return (new Formio(formUrl + '/submission/' + id)).loadSubmission(null, {ignoreCache: true}).then(function() {
+        throw 'The request should have failed';
+      }, function(err) {
+        return err;
+      });
+    };
+    Promise.all([load('missing'), load('broken'), load('private')])
+      .then(function(errors) {
+        assert.ok(errors[0] instanceof Formio.NotFoundError);
+        assert.equal(errors[0].status, 404);
+        assert.equal(String(errors[0]), 'Not found', 'Errors should still read as their message');
+        assert.ok(errors[1] instanceof Formio.ServerError);
+        assert.ok(errors[2] instanceof Formio.AuthError);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should reject with a network error when the server cannot be reached', function(done) {
+    fetchMock.mock(formUrl, 'GET', {throws: new TypeError('Failed to fetch')});
+    (new Formio(formUrl)).loadForm(null, {ignoreCache: true})
+      .then(function() {
+        done('The request should have failed');
+      }, function(err) {
+        assert.ok(err instanceof Formio.NetworkError);
+        assert.ok(err.networkError, 'The networkError flag should be kept');
+        assert.equal(err.url, formUrl);
+        assert.ok(err.cause instanceof TypeError);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should reject failed uploads with an error', function(done) {
+    Formio.setUploadTransport(function(request) {
+      return Promise.resolve({status: 403, response: 'Forbidden', url: request.url});
+    });
+    var file = {size: 4, type: 'text/plain'};
+    (new Formio(formUrl)).uploadFile('url', file, 'test.txt', '', null, 'https://files.example.com')
+      .then(function() {
+        done('The upload should have failed');
+      }, function(err) {
+        assert.ok(err instanceof Formio.AuthError);
+        assert.equal(err.status, 403);
+        assert.equal(err.message, 'Forbidden');
+        assert.equal(err.url, 'https://files.example.com');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should reject missing ids with an error', function(done) {
+    (new Formio(Formio.getBaseUrl())).loadSubmission()
+      .then(function() {
+        done('The request should have failed');
+      }, function(err) {
+        assert.ok(err instanceof Formio.Error);
+        assert.equal(err.message, 'Missing submissionId');
+        done();
+      })
+      .catch(done);
+  });
+});
+
+describe('Formio authentication', () => {
+  var loginUrl = Formio.getBaseUrl() + '/user/login';
+  var resetUrl = Formio.getBaseUrl() + '/user/resetpass';
+  var user = {_id: 'authuser', data: {email: 'joe@example.com'}};
+  afterEach(() => {
+    fetchMock.restore();
+    Formio.setUser(null);
+  });
+
+  it('Should log in, store the token and user and emit formio.login', function(done) {
+    var token = chance.string({length: 450});
+    var sent = null;
+    fetchMock.mock(loginUrl + '/submission', 'POST', function(url, opts) {
+      sent = JSON.parse(opts.body);
+      return {
+        headers: {'Content-Type': 'application/json', 'x-jwt-token': token},
+        body: user
+      };
+    });
+    var login = sinon.spy();
+    Formio.events.once('formio.login', login);
+    Formio.login(loginUrl, {email: 'joe@example.com', password: 'secret'})
+      .then(function(result) {
+        assert.deepEqual(result, user);
+        assert.deepEqual(sent, {data: {email: 'joe@example.com', password: 'secret'}});
+        assert.equal(Formio.getToken(), token);
+        assert.deepEqual(Formio.getUser(), user);
+        assert.ok(login.calledWith(user), 'formio.login should be emitted with the user');
+        assert.equal(fetchMock.calls().unmatched.length, 0, 'The user should not be requested again');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should reject incorrect credentials with an auth error', function(done) {
+    fetchMock.mock(loginUrl + '/submission', 'POST', {status: 401, body: 'User or password was incorrect'});
+    Formio.login(loginUrl, {email: 'joe@example.com', password: 'wrong'})
+      .then(function() {
+        done('The login should have failed');
+      }, function(err) {
+        assert.ok(err instanceof Formio.AuthError);
+        assert.equal(Formio.getUser(), null);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should reset passwords with the token of the reset link', function(done) {
+    var sentToken = null;
+    fetchMock.mock(resetUrl + '/submission', 'POST', function(url, opts) {
+      sentToken = opts.headers.get('x-jwt-token');
+      return {
+        headers: {'Content-Type': 'application/json'},
+        body: {message: 'Password was successfully updated.'}
+      };
+    });
+    Formio.resetPassword(resetUrl, {password: 'newsecret'}, 'resettoken')
+      .then(function(result) {
+        assert.equal(sentToken, 'resettoken');
+        assert.equal(result.message, 'Password was successfully updated.');
+        done();
+      })
+      .catch(done);
+  });
+});
+
+describe('Formio permissions', () => {
+  var formUrl = Formio.getBaseUrl() + '/permissionform';
+  var access = {
+    roles: {
+      administrator: {_id: 'adminrole', title: 'Administrator', admin: true},
+      authenticated: {_id: 'authrole', title: 'Authenticated'},
+      anonymous: {_id: 'anonrole', title: 'Anonymous', default: true}
+    },
+    forms: {}
+  };
+  var form = {
+    _id: 'permissionform',
+    owner: 'formowner',
+    access: [
+      {type: 'read_all', roles: ['adminrole', 'authrole', 'anonrole']}
+    ],
+    submissionAccess: [
+      {type: 'create_all', roles: ['anonrole']},
+      {type: 'create_own', roles: ['authrole']},
+      {type: 'read_own', roles: ['authrole']},
+      {type: 'update_own', roles: ['authrole']}
+    ],
+    components: []
+  };
+  beforeEach(() => {
+    fetchMock.mock(/\/access$/, 'GET', {
+      headers: {'Content-Type': 'application/json'},
+      body: access
+    });
+  });
+  afterEach(() => {
+    fetchMock.restore();
+    Formio.clearCache();
+  });
+
+  it('Should load the access information of the project', function(done) {
+    Formio.accessInfo()
+      .then(function(result) {
+        assert.deepEqual(result, access);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should grant the permissions of the default roles to anonymous users', function(done) {
+    var formio = new Formio(formUrl);
+    formio.userPermissions(null, form)
+      .then(function(permissions) {
+        assert.deepEqual(permissions.roles, ['anonrole']);
+        assert.equal(permissions.form.read, true);
+        assert.equal(permissions.form.edit, false);
+        assert.equal(permissions.create, true);
+        assert.equal(permissions.read, false);
+        assert.equal(permissions.edit, false);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should only grant "own" access to the owner of the submission', function(done) {
+    var user = {_id: 'joe', roles: ['authrole']};
+    var formio = new Formio(formUrl);
+    Promise.all([
+      formio.userPermissions(user, form, {_id: 'joesubmission', owner: 'joe', data: {}}),
+      formio.userPermissions(user, form, {_id: 'othersubmission', owner: 'jane', data: {}})
+    ])
+      .then(function(results) {
+        assert.equal(results[0].read, true);
+        assert.equal(results[0].edit, true);
+        assert.equal(results[0].delete, false);
+        assert.equal(results[1].read, false);
+        assert.equal(results[1].edit, false);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should grant the access of the submission to its resources', function(done) {
+    var user = {_id: 'joe', roles: ['authrole']};
+    var formio = new Formio(formUrl);
+    formio.userPermissions(user, form, {
+      _id: 'sharedsubmission',
+      owner: 'jane',
+      access: [{type: 'read', resources: ['joe']}],
+      data: {}
+    })
+      .then(function(permissions) {
+        assert.equal(permissions.read, true);
+        assert.equal(permissions.edit, false);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should grant all permissions to administrators and the owner of the form', function(done) {
+    var formio = new Formio(formUrl);
+    var submission = {_id: 'othersubmission', owner: 'jane', data: {}};
+    Promise.all([
+      formio.userPermissions({_id: 'admin', roles: ['adminrole']}, form, submission),
+      formio.userPermissions({_id: 'formowner', roles: []}, form, submission)
+    ])
+      .then(function(results) {
+        results.forEach(function(permissions) {
+          assert.equal(permissions.form.edit, true);
+          assert.equal(permissions.create, true);
+          assert.equal(permissions.edit, true);
+          assert.equal(permissions.delete, true);
+        });
+        assert.equal(results[0].admin, true);
+        assert.equal(results[1].admin, false);
+        done();
+      })
+      .catch(done);
+  });
+});
+
+describe('Formio revisions', () => {
+  var formUrl = Formio.getBaseUrl() + '/revisionform';
+  var submissionUrl = formUrl + '/submission/revisionsubmission';
+  afterEach(() => {
+    fetchMock.restore();
+    Formio.clearCache();
+  });
+
+  it('Should load a revision of the form', function(done) {
+    fetchMock.mock(formUrl + '/v/3', 'GET', {
+      headers: {'Content-Type': 'application/json'},
+      body: {_id: 'revisionform', _vid: 3, components: []}
+    });
+    var types = [];
+    var formio = new Formio(formUrl, {plugins: [{
+      preRequest: function(args) {
+        types.push(args.type);
+      }
+    }]});
+    formio.loadForm({revision: 3})
+      .then(function(form) {
+        assert.equal(form._vid, 3);
+        assert.deepEqual(types, ['formRevision']);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should load the revisions of forms and submissions', function(done) {
+    fetchMock.mock(formUrl + '/v?limit=2', 'GET', {
+      headers: {'Content-Type': 'application/json'},
+      body: [{_vid: 2}, {_vid: 1}]
+    });
+    fetchMock.mock(submissionUrl + '/v', 'GET', {
+      headers: {'Content-Type': 'application/json'},
+      body: [{_id: 'second'}, {_id: 'first'}]
+    });
+    var formio = new Formio(submissionUrl);
+    Promise.all([
+      formio.loadFormRevisions({params: {limit: 2}}),
+      formio.loadSubmissionRevisions()
+    ])
+      .then(function(results) {
+        assert.deepEqual(results[0].map((revision) => revision._vid), [2, 1]);
+        assert.deepEqual(results[1].map((revision) => revision._id), ['second', 'first']);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should require a submission to load its revisions', function(done) {
+    var formio = new Formio(formUrl);
+    formio.loadSubmissionRevisions()
+      .then(function() {
+        done('The request should have been rejected');
+      }, function(err) {
+        assert.equal(err.message, 'Missing submissionId');
+        done();
+      })
+      .catch(done);
+  });
+});
+
+describe('Formio partial updates', () => {
+  var projectUrl = 'https://patch.localhost:3000';
+  var submissionUrl = projectUrl + '/ticket/submission/ticket1';
+  var plugin = null;
+  beforeEach(() => {
+    plugin = Formio.availablePlugins.mock({
+      projectUrl: projectUrl,
+      forms: [{
+        title: 'Ticket',
+        name: 'ticket',
+        path: 'ticket',
+        components: [
+          {type: 'textfield', key: 'status', label: 'Status', input: true},
+          {type: 'textfield', key: 'comment', label: 'Comment', input: true}
+        ]
+      }],
+      submissions: {
+        ticket: [{_id: 'ticket1', modified: '2017-01-01T00:00:00.000Z', data: {status: 'open', comment: ''}}]
+      }
+    });
+    Formio.registerPlugin(plugin, 'patchmock');
+  });
+  afterEach(() => {
+    Formio.deregisterPlugin(plugin);
+  });
+
+  it('Should compute and apply JSON-Patch operations', function() {
+    var from = {data: {name: 'Joe', age: 30, tags: ['a', 'b'], 'a/b': 1}};
+    var to = {data: {name: 'Joe', age: 31, tags: ['a', 'b', 'c'], email: 'joe@example.com'}};
+    var patch = Formio.createPatch(from, to);
+    assert.deepEqual(patch, [
+      {op: 'remove', path: '/data/a~1b'},
+      {op: 'replace', path: '/data/age', value: 31},
+      {op: 'replace', path: '/data/tags', value: ['a', 'b', 'c']},
+      {op: 'add', path: '/data/email', value: 'joe@example.com'}
+    ]);
+    assert.deepEqual(Formio.applyPatch(from, patch), to);
+    assert.equal(from.data.age, 30, 'The original should not be modified');
+    assert.throws(function() {
+      Formio.applyPatch(from, [{op: 'test', path: '/data/age', value: 31}]);
+    });
+  });
+
+  it('Should send the changes with PATCH and the loaded version as precondition', function(done) {
+    var sent = [];
+    var formio = new Formio(submissionUrl, {plugins: [{
+      preRequest: function(args) {
+        sent.push(args);
+      }
+    }]});
+    formio.loadSubmission()
+      .then(function(original) {
+        var submission = _.cloneDeep(original);
+        submission.data.status = 'closed';
+        return formio.saveSubmission(submission, {original: original, patch: true});
+      })
+      .then(function(submission) {
+        assert.deepEqual(submission.data, {status: 'closed', comment: ''});
+        assert.equal(sent[1].method, 'PATCH');
+        assert.deepEqual(sent[1].data, [{op: 'replace', path: '/data/status', value: 'closed'}]);
+        assert.equal(
+          sent[1].opts.header.get('If-Unmodified-Since'),
+          new Date('2017-01-01T00:00:00.000Z').toUTCString()
+        );
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should reject stale updates with a conflict error', function(done) {
+    var formio = new Formio(submissionUrl);
+    var original = null;
+    formio.loadSubmission()
+      .then(function(result) {
+        original = result;
+        return formio.saveSubmission({_id: 'ticket1', data: {status: 'pending', comment: 'Waiting'}});
+      })
+      .then(function() {
+        var submission = _.cloneDeep(original);
+        submission.data.status = 'closed';
+        return formio.saveSubmission(submission, {original: original, patch: true});
+      })
+      .then(function() {
+        done('The stale update should have been rejected');
+      }, function(err) {
+        assert.ok(err instanceof Formio.ConflictError);
+        assert.equal(err.status, 412);
+        assert.equal(err.original.data.status, 'open');
+        assert.equal(err.data.data.status, 'closed');
+        assert.equal(err.current.data.status, 'pending');
+        done();
+      })
+      .catch(done);
+  });
+});
+
+describe('Formio subscriptions', () => {
+  var formUrl = 'https://live.localhost:3000/ticket';
+  var subscription = null;
+  afterEach(() => {
+    if (subscription) {
+      subscription.close();
+      subscription = null;
+    }
+  });
+
+  it('Should deliver the changes sent over a WebSocket', function(done) {
+    var server = new SocketServer();
+    var changes = [];
+    var emitted = [];
+    var onCreated = function(change) {
+      emitted.push(change);
+    };
+    Formio.events.on('formio.submissionCreated', onCreated);
+    var formio = new Formio(formUrl);
+    subscription = formio.subscribe('submission', function(change) {
+      changes.push(change);
+    }, {WebSocket: server.WebSocket, EventSource: null});
+    server.connection()
+      .then(function() {
+        assert.equal(server.urls[0].split('?')[0], 'wss://live.localhost:3000/ticket/submission/subscribe');
+        server.send({type: 'created', submission: {_id: 'a', modified: '2017-01-01T00:00:00.000Z'}});
+        server.send({type: 'deleted', submission: {_id: 'b', modified: '2017-01-02T00:00:00.000Z'}});
+        server.send({type: 'unknown', submission: {_id: 'c'}});
+        server.send('not json');
+        Formio.events.off('formio.submissionCreated', onCreated);
+        assert.deepEqual(changes.map(function(change) {
+          return change.type + ':' + change.submission._id;
+        }), ['created:a', 'deleted:b']);
+        assert.equal(changes[0].formUrl, formUrl);
+        assert.equal(emitted.length, 1);
+        assert.equal(emitted[0].submission._id, 'a');
+        assert.equal(subscription.since, '2017-01-02T00:00:00.000Z');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should reconnect from the last change when the connection is lost', function(done) {
+    var server = new SocketServer();
+    var formio = new Formio(formUrl);
+    subscription = formio.subscribe('submission', null, {
+      WebSocket: server.WebSocket,
+      EventSource: null,
+      reconnectDelay: 10
+    });
+    server.connection()
+      .then(function() {
+        server.send({type: 'updated', submission: {_id: 'a', modified: '2017-01-01T00:00:00.000Z'}});
+        var reconnected = server.connection();
+        server.drop();
+        return reconnected;
+      })
+      .then(function(socket) {
+        assert.ok(socket.url.indexOf('since=' + encodeURIComponent('2017-01-01T00:00:00.000Z')) !== -1);
+        assert.equal(subscription.transport, 'websocket');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should fall back to polling when no connection can be opened', function(done) {
+    var server = new SocketServer();
+    server.refuse = true;
+    var plugin = Formio.availablePlugins.mock({
+      projectUrl: 'https://live.localhost:3000',
+      forms: [{title: 'Ticket', name: 'ticket', path: 'ticket', components: []}],
+      submissions: {
+        ticket: [{_id: 'old', modified: '2017-01-01T00:00:00.000Z', data: {}}]
+      }
+    });
+    var formio = new Formio(formUrl, {plugins: [plugin]});
+    var changes = [];
+    subscription = formio.subscribe('submission', function(change) {
+      changes.push(change);
+      if (changes.length === 1) {
+        // Let the modified timestamp of the update differ from the one of the creation.
+        setTimeout(function() {
+          formio.saveSubmission({_id: change.submission._id, data: {status: 'closed'}});
+        }, 5);
+      }
+      if (changes.length === 2) {
+        assert.equal(subscription.transport, 'poll');
+        assert.deepEqual(changes.map(function(change) {
+          return change.type + ':' + change.submission.data.status;
+        }), ['created:open', 'updated:closed']);
+        done();
+      }
+    }, {WebSocket: server.WebSocket, EventSource: null, interval: 10});
+    setTimeout(function() {
+      formio.saveSubmission({data: {status: 'open'}});
+    }, 20);
+  });
+
+  it('Should authenticate WebSockets with their first message', function(done) {
+    var server = new SocketServer();
+    var client = Formio.createClient({baseUrl: 'https://live.localhost:3000', authStorage: 'memory'});
+    client.getToken = function() {
+      return 'token1';
+    };
+    var formio = new Formio(formUrl, {client: client});
+    subscription = formio.subscribe('submission', null, {WebSocket: server.WebSocket, EventSource: null});
+    server.connection()
+      .then(function(socket) {
+        assert.equal(socket.url, 'wss://live.localhost:3000/ticket/submission/subscribe');
+        assert.deepEqual(server.received, [{type: 'authenticate', token: 'token1'}]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('Should authenticate Server-Sent Events with a ticket', function(done) {
+    var client = Formio.createClient({baseUrl: 'https://live.localhost:3000', authStorage: 'memory'});
+    client.getToken = function() {
+      return 'token1';
+    };
+    var requests = [];
+    client.registerPlugin({
+      request: function(args) {
+        requests.push(args.method + ' ' + args.url);
+        return {ticket: 'ticket 1'};
+      }
+    }, 'ticket');
+    var FakeEventSource = function(url) {
+      assert.deepEqual(requests, ['POST https://live.localhost:3000/ticket/submission/subscribe/ticket']);
+      assert.equal(url, 'https://live.localhost:3000/ticket/submission/subscribe?ticket=ticket%201');
+      done();
+    };
+    FakeEventSource.prototype.close = function() {};
+    var formio = new Formio(formUrl, {client: client});
+    subscription = formio.subscribe('submission', null, {WebSocket: null, EventSource: FakeEventSource});
+  });
+
+  it('Should keep delivering changes when the handler throws', function(done) {
+    var plugin = Formio.availablePlugins.mock({
+      projectUrl: 'https://live.localhost:3000',
+      forms: [{title: 'Ticket', name: 'ticket', path: 'ticket', components: []}],
+      submissions: {
+        ticket: [{_id: 'old', modified: '2017-01-01T00:00:00.000Z', data: {}}]
+      }
+    });
+    var formio = new Formio(formUrl, {plugins: [plugin]});
+    var warn = console.warn;
+    var warnings = 0;
+    console.warn = function() {
+      warnings++;
+    };
+    var changes = [];
+    subscription = formio.subscribe('submission', function(change) {
+      changes.push(change.submission.data.status);
+      if (changes.length === 1) {
+        // Let the modified timestamp of the second submission differ from the one of the first.
+        setTimeout(function() {
+          formio.saveSubmission({data: {status: 'second'}});
+        }, 5);
+        throw new Error('The handler failed');
+      }
+      console.warn = warn;
+      assert.deepEqual(changes, ['first', 'second']);
+      assert.equal(warnings, 1);
+      done();
+    }, {transport: 'poll', interval: 10});
+    setTimeout(function() {
+      formio.saveSubmission({data: {status: 'first'}});
+    }, 20);
+  });
+
+  it('Should only subscribe to submissions', function() {
+    var formio = new Formio(formUrl);
+    assert.throws(function() {
+      formio.subscribe('form', function() {});
+    });
+  });
+});
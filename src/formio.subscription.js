@@ -0,0 +1,364 @@
+'use strict';
+import Promise from 'native-promise-only';
+import FormioError from './formio.error';
+
+/**
+ * The changes a subscription delivers, which are the types of the messages sent by the server.
+ */
+const changeTypes = ['created', 'updated', 'deleted'];
+
+/**
+ * The names of the events emitted on the events of the client for each type of change.
+ */
+const eventNames = {
+  created: 'formio.submissionCreated',
+  updated: 'formio.submissionUpdated',
+  deleted: 'formio.submissionDeleted'
+};
+
+/**
+ * Returns a global, such as the WebSocket class, if the environment provides it.
+ */
+let getGlobal = function(name) {
+  if ((typeof window !== 'undefined') && window[name]) {
+    return window[name];
+  }
+  if ((typeof global !== 'undefined') && global[name]) {
+    return global[name];
+  }
+  return null;
+};
+
+/**
+ * Delivers the submissions that are created, updated or deleted within a form as they change. The server is
+ * listened to over a WebSocket, or Server-Sent Events where WebSockets are not available, which both connect to
+ * the subscribe url of the form and receive JSON messages such as {type: "created", submission: {...}}. Where
+ * neither connect, the submissions are polled with loadSubmissions, which does not detect deleted submissions.
+ * Lost connections are reopened with an increasing delay, and provide the modified timestamp of the last change
+ * as the since query parameter so that the server can send the changes that were missed.
+ *
+ * The subscribe url is a contract for the server which the Form.io API does not currently provide, so only
+ * polling works against it. A server which implements it:
+ *  - Accepts WebSocket connections and Server-Sent Events at {submission url}/subscribe, with the optional since
+ *    query parameter, and sends a message for every change of a submission of the form.
+ *  - Receives {type: "authenticate", token: "..."} as the first message of a WebSocket, as the token is never
+ *    sent within the url where it would end up in logs.
+ *  - Responds to a POST of {submission url}/subscribe/ticket, authenticated with the x-jwt-token header, with
+ *    {ticket: "..."}, a ticket valid for a short time which authenticates Server-Sent Events as the ticket query
+ *    parameter, as event sources cannot send headers or messages.
+ *
+ * @example
+ * let formio = new Formio('https://examples.form.io/example');
+ * let subscription = formio.subscribe('submission', (change) => {
+ *   console.log(change.type, change.submission._id);
+ * });
+ * // Stop listening.
+ * subscription.close();
+ */
+export class FormioSubscription {
+  /**
+   * Creates a new subscription. Use Formio#subscribe to create and open a subscription.
+   *
+   * @param {Formio} formio - The Formio instance of the form.
+   * @param {function} handler - Called with the {type, submission, formUrl} of every change.
+   * @param {Object} options - The options of this subscription.
+   * @param {string|Array} options.transport - "websocket", "sse", "poll" or an array of them to try in order.
+   *   Defaults to trying them all in that order.
+   * @param {string} options.url - The url to connect to. Defaults to the submission url of the form followed by
+   *   /subscribe.
+   * @param {number} options.interval - The milliseconds between polls. Defaults to 10000.
+   * @param {number} options.limit - The number of submissions loaded by each poll. Defaults to 100.
+   * @param {number} options.reconnectDelay - The milliseconds before the first reconnection, which doubles with
+   *   every failed attempt. Defaults to 1000.
+   * @param {number} options.maxReconnectDelay - The maximum milliseconds between reconnections. Defaults to 30000.
+   * @param {function} options.WebSocket - The WebSocket implementation. Defaults to the global WebSocket.
+   * @param {function} options.EventSource - The EventSource implementation. Defaults to the global EventSource.
+   */
+  constructor(formio, handler, options) {
+    this.formio = formio;
+    this.handler = handler;
+    this.options = options || {};
+    this.WebSocket = this.options.hasOwnProperty('WebSocket') ? this.options.WebSocket : getGlobal('WebSocket');
+    this.EventSource = this.options.hasOwnProperty('EventSource') ?
+      this.options.EventSource :
+      getGlobal('EventSource');
+
+    /**
+     * The transports this subscription tries, in order.
+     * @type {Array}
+     */
+    this.transports = this.getTransports();
+
+    /**
+     * The index of the transport currently used.
+     * @type {number}
+     */
+    this.transportIndex = 0;
+
+    /**
+     * The modified timestamp of the last change received.
+     * @type {string}
+     */
+    this.since = this.options.since || '';
+
+    this.connection = null;
+    this.timer = null;
+    this.attempts = 0;
+    this.closed = false;
+  }
+
+  /**
+   * The name of the transport currently used.
+   *
+   * @returns {string}
+   */
+  get transport() {
+    return this.transports[this.transportIndex];
+  }
+
+  getTransports() {
+    let transports = this.options.transport || ['websocket', 'sse', 'poll'];
+    if (!Array.isArray(transports)) {
+      transports = [transports];
+    }
+    return transports.filter((transport) => {
+      if (transport === 'websocket') {
+        return !!this.WebSocket;
+      }
+      if (transport === 'sse') {
+        return !!this.EventSource;
+      }
+      return transport === 'poll';
+    });
+  }
+
+  /**
+   * Returns the url to connect to, including the timestamp of the last change.
+   *
+   * @param {boolean} websocket - Whether to use the WebSocket protocol.
+   * @param {string} ticket - The ticket which authenticates Server-Sent Events.
+   * @returns {string}
+   */
+  getUrl(websocket, ticket) {
+    let url = this.options.url || (this.formio.submissionsUrl + '/subscribe');
+    if (websocket) {
+      url = url.replace(/^http/, 'ws');
+    }
+    let params = [];
+    if (ticket) {
+      params.push('ticket=' + encodeURIComponent(ticket));
+    }
+    if (this.since) {
+      params.push('since=' + encodeURIComponent(this.since));
+    }
+    return params.length ? (url + ((url.indexOf('?') === -1) ? '?' : '&') + params.join('&')) : url;
+  }
+
+  /**
+   * Connects with the current transport.
+   *
+   * @returns {FormioSubscription}
+   */
+  open() {
+    if (this.closed) {
+      return this;
+    }
+    if (!this.transport) {
+      throw new FormioError('No transport is available to subscribe with.');
+    }
+    switch (this.transport) {
+      case 'websocket':
+        this.openWebSocket();
+        break;
+      case 'sse':
+        this.openEventSource();
+        break;
+      default:
+        this.poll();
+    }
+    return this;
+  }
+
+  openWebSocket() {
+    let socket = new this.WebSocket(this.getUrl(true));
+    let opened = false;
+    let ended = false;
+    let end = () => {
+      if (!ended) {
+        ended = true;
+        this.onDisconnect(socket, opened);
+      }
+    };
+    socket.onopen = () => {
+      opened = true;
+      this.attempts = 0;
+      let token = this.formio.client.getToken();
+      if (token) {
+        socket.send(JSON.stringify({type: 'authenticate', token: token}));
+      }
+    };
+    socket.onmessage = (event) => this.receive(event.data);
+    socket.onerror = end;
+    socket.onclose = end;
+    this.connection = socket;
+  }
+
+  /**
+   * Requests the ticket which authenticates Server-Sent Events, if the user is logged in.
+   *
+   * @returns {Promise.<string>}
+   */
+  requestTicket() {
+    if (!this.formio.client.getToken()) {
+      return Promise.resolve('');
+    }
+    let url = this.options.url || (this.formio.submissionsUrl + '/subscribe');
+    return this.formio.makeRequest('subscription', url + '/ticket', 'POST', {})
+      .then((response) => (response && response.ticket) || '');
+  }
+
+  openEventSource() {
+    // Stands in for the event source until the ticket is received, so that closing the subscription or a failed
+    // request end the connection.
+    let pending = {close: () => {}};
+    this.connection = pending;
+    this.requestTicket().then((ticket) => {
+      if (!this.closed && (this.connection === pending)) {
+        this.connectEventSource(ticket);
+      }
+    }, () => this.onDisconnect(pending, false));
+  }
+
+  connectEventSource(ticket) {
+    let source = new this.EventSource(this.getUrl(false, ticket));
+    let opened = false;
+    source.onopen = () => {
+      opened = true;
+      this.attempts = 0;
+    };
+    source.onmessage = (event) => this.receive(event.data);
+    source.onerror = () => {
+      // Event sources reconnect on their own unless the server refused the connection.
+      if (source.readyState === 2) {
+        this.onDisconnect(source, opened);
+      }
+    };
+    this.connection = source;
+  }
+
+  /**
+   * Loads the submissions modified since the last change, starting from the last modified submission.
+   */
+  poll() {
+    let limit = this.options.limit || 100;
+    let request = this.since ?
+      this.formio.loadSubmissions({params: {modified__gt: this.since, sort: 'modified', limit: limit}}, {
+        cachePolicy: 'network-only'
+      }) :
+      this.formio.loadSubmissions({params: {sort: '-modified', limit: 1, select: 'modified'}}, {
+        cachePolicy: 'network-only'
+      }).then((submissions) => {
+        this.since = (submissions && submissions.length) ? submissions[0].modified : new Date().toISOString();
+        return [];
+      });
+    request.then((submissions) => {
+      if (this.closed) {
+        return;
+      }
+      this.attempts = 0;
+      this.timer = setTimeout(() => this.poll(), (submissions.length < limit) ? (this.options.interval || 10000) : 0);
+      let since = this.since;
+      submissions.forEach((submission) => {
+        this.receive({
+          type: (submission.created && (submission.created > since)) ? 'created' : 'updated',
+          submission: submission
+        });
+      });
+    }, () => this.reconnect());
+  }
+
+  onDisconnect(connection, opened) {
+    if (this.closed || (connection !== this.connection)) {
+      return;
+    }
+    this.connection = null;
+
+    // Fall back to the next transport if this one never connected.
+    if (!opened && (this.transportIndex < (this.transports.length - 1))) {
+      this.transportIndex++;
+      return this.open();
+    }
+    this.reconnect();
+  }
+
+  /**
+   * Reopens the subscription after an increasing delay.
+   */
+  reconnect() {
+    if (this.closed) {
+      return;
+    }
+    let delay = Math.min(
+      (this.options.reconnectDelay || 1000) * Math.pow(2, this.attempts),
+      this.options.maxReconnectDelay || 30000
+    );
+    this.attempts++;
+    this.timer = setTimeout(() => this.open(), delay);
+  }
+
+  /**
+   * Delivers a change to the handler and the events of the client.
+   *
+   * @param {string|Object} message - The change, or its JSON.
+   */
+  receive(message) {
+    if (this.closed) {
+      return;
+    }
+    if (typeof message === 'string') {
+      try {
+        message = JSON.parse(message);
+      }
+      catch (err) {
+        return;
+      }
+    }
+    if (!message || (changeTypes.indexOf(message.type) === -1) || !message.submission) {
+      return;
+    }
+    let submission = message.submission;
+    if (submission.modified && (submission.modified > this.since)) {
+      this.since = submission.modified;
+    }
+    let change = {
+      type: message.type,
+      submission: submission,
+      formUrl: this.formio.formUrl
+    };
+    // A failing handler should neither stop the subscription nor the delivery of the following changes.
+    try {
+      if (this.handler) {
+        this.handler(change);
+      }
+      this.formio.client.events.emit(eventNames[message.type], change);
+    }
+    catch (err) {
+      console.warn('An error occurred in the handler of a subscription', err);
+    }
+  }
+
+  /**
+   * Stops listening for changes.
+   */
+  close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+    if (this.connection) {
+      this.connection.close();
+      this.connection = null;
+    }
+  }
+}
+
+FormioSubscription.eventNames = eventNames;
+module.exports = FormioSubscription;
@@ -5,6 +5,9 @@ module.exports = {
       translation: {
         complete: 'Submission Complete',
         error: 'Please fix the following errors before submitting.',
+        noCreatePermission: 'You do not have permission to submit this form.',
+        noReadPermission: 'You do not have permission to view this submission.',
+        conflict: 'This submission was changed by someone else. Please reload it and try again.',
         required: '{{field}} is required',
         minLength: '{{field}} must be longer than {{length}} characters.',
         maxLength: '{{field}} must be shorter than {{length}} characters.',
@@ -0,0 +1,4 @@
+module.exports = {
+  offline: require('./offline.js'),
+  mock: require('./mock.js')
+};
@@ -0,0 +1,753 @@
+var Promise = require("native-promise-only");
+var _get = require('lodash/get');
+var _set = require('lodash/set');
+var _assign = require('lodash/assign');
+var _cloneDeep = require('lodash/cloneDeep');
+var FormioError = require('../formio.error');
+var FormioPatch = require('../formio.patch');
+var stores = require('./offline').stores;
+
+/**
+ * Creates a 24 character hex id which looks like the ObjectIds of the API server.
+ */
+var objectId = function() {
+  var id = Math.floor(Date.now() / 1000).toString(16);
+  while (id.length < 24) {
+    id += Math.floor(Math.random() * 16).toString(16);
+  }
+  return id;
+};
+
+/**
+ * The store used to persist the mock database.
+ */
+var createStore = function(options) {
+  var store = options.store || 'memory';
+  if (typeof store === 'object') {
+    return store;
+  }
+  if (!stores.hasOwnProperty(store)) {
+    throw new FormioError('Mock store ' + store + ' not found');
+  }
+  return stores[store]({prefix: options.prefix || 'formioMock'});
+};
+
+/**
+ * Parses the query string of a url into [key, value] pairs.
+ */
+var parseQuery = function(url) {
+  var index = url.indexOf('?');
+  if (index === -1) {
+    return [];
+  }
+  return url.substr(index + 1).split('&').filter(Boolean).map(function(pair) {
+    var parts = pair.split('=');
+    return [
+      decodeURIComponent(parts[0]),
+      decodeURIComponent((parts.slice(1).join('=') || '').replace(/\+/g, ' '))
+    ];
+  });
+};
+
+/**
+ * Compares a stored value against a query string value, comparing numbers as numbers.
+ */
+var compare = function(value, query) {
+  if ((typeof value === 'number') && !isNaN(Number(query))) {
+    return value - Number(query);
+  }
+  value = String(value);
+  return (value < query) ? -1 : ((value > query) ? 1 : 0);
+};
+
+var equals = function(value, query) {
+  if (Array.isArray(value)) {
+    return value.some(function(item) {
+      return equals(item, query);
+    });
+  }
+  return (value !== undefined) && (value !== null) && (String(value) === query);
+};
+
+var operators = {
+  ne: function(value, query) {
+    return !equals(value, query);
+  },
+  gt: function(value, query) {
+    return (value !== undefined) && (value !== null) && (compare(value, query) > 0);
+  },
+  gte: function(value, query) {
+    return (value !== undefined) && (value !== null) && (compare(value, query) >= 0);
+  },
+  lt: function(value, query) {
+    return (value !== undefined) && (value !== null) && (compare(value, query) < 0);
+  },
+  lte: function(value, query) {
+    return (value !== undefined) && (value !== null) && (compare(value, query) <= 0);
+  },
+  in: function(value, query) {
+    return query.split(',').some(function(item) {
+      return equals(value, item);
+    });
+  },
+  nin: function(value, query) {
+    return !operators.in(value, query);
+  },
+  regex: function(value, query) {
+    var parts = query.match(/^\/(.*)\/([gimuy]*)$/);
+    var regex = parts ? new RegExp(parts[1], parts[2]) : new RegExp(query);
+    return (value !== undefined) && (value !== null) && regex.test(String(value));
+  },
+  exists: function(value, query) {
+    var exists = (value !== undefined) && (value !== null);
+    return ((query === 'false') || (query === '0')) ? !exists : exists;
+  }
+};
+
+/**
+ * Filters, sorts, pages and selects the items of an index request the way the API server does. The
+ * returned array carries the same skip, limit and serverCount metadata the SDK reads from the
+ * content-range header of a real response.
+ */
+var queryItems = function(items, url) {
+  var params = {limit: 10, skip: 0};
+  var filters = [];
+  parseQuery(url).forEach(function(pair) {
+    if (['limit', 'skip', 'sort', 'select', 'populate'].indexOf(pair[0]) !== -1) {
+      params[pair[0]] = pair[1];
+      return;
+    }
+    var parts = pair[0].match(/^(.*)__(ne|gt|gte|lt|lte|in|nin|regex|exists)$/);
+    filters.push(parts ? [parts[1], operators[parts[2]], pair[1]] : [pair[0], equals, pair[1]]);
+  });
+
+  items = items.filter(function(item) {
+    return filters.every(function(filter) {
+      return filter[1](_get(item, filter[0]), filter[2]);
+    });
+  });
+
+  if (params.sort) {
+    var sort = params.sort.split(/[\s,]+/).filter(Boolean);
+    items.sort(function(a, b) {
+      for (var i = 0; i < sort.length; i++) {
+        var desc = (sort[i].charAt(0) === '-');
+        var path = desc ? sort[i].substr(1) : sort[i];
+        var valueA = _get(a, path);
+        var valueB = _get(b, path);
+        if (valueA !== valueB) {
+          var order = ((valueA === undefined) || (valueA > valueB)) ? 1 : -1;
+          return desc ? -order : order;
+        }
+      }
+      return 0;
+    });
+  }
+
+  var skip = Number(params.skip) || 0;
+  var limit = Number(params.limit) || 10;
+  var result = items.slice(skip, skip + limit);
+  if (params.select) {
+    var select = params.select.split(/[\s,]+/).filter(Boolean);
+    result = result.map(function(item) {
+      var selected = {_id: item._id};
+      select.forEach(function(path) {
+        if (_get(item, path) !== undefined) {
+          _set(selected, path, _get(item, path));
+        }
+      });
+      return selected;
+    });
+  }
+  if (result.length) {
+    result.skip = skip;
+    result.limit = result.length;
+  }
+  result.serverCount = items.length;
+  return result;
+};
+
+/**
+ * Calls fn for every input component of a form. Layout components are walked into but not passed to fn.
+ */
+var eachInput = function(components, fn, path) {
+  (components || []).forEach(function(component) {
+    if (!component) {
+      return;
+    }
+    var componentPath = component.key ? (path ? (path + '.' + component.key) : component.key) : path;
+    if (component.input && component.key && (component.type !== 'button')) {
+      fn(component, componentPath);
+    }
+    var childPath = ((component.type === 'container') && component.key) ? componentPath : path;
+    if (component.type === 'datagrid') {
+      return;
+    }
+    if (Array.isArray(component.columns)) {
+      component.columns.forEach(function(column) {
+        eachInput(column.components, fn, childPath);
+      });
+    }
+    else if (Array.isArray(component.rows)) {
+      component.rows.forEach(function(row) {
+        (row || []).forEach(function(column) {
+          eachInput(column.components, fn, childPath);
+        });
+      });
+    }
+    else if (Array.isArray(component.components)) {
+      eachInput(component.components, fn, childPath);
+    }
+  });
+};
+
+/**
+ * Validates the data of a submission against the components of its form. Returns the validation
+ * error in the same format as the API server or null when the data is valid.
+ */
+var validate = function(form, data) {
+  var details = [];
+  eachInput(form.components, function(component, path) {
+    var validation = component.validate || {};
+    var value = _get(data, path);
+    var label = component.label || component.key;
+    var context = {key: component.key, label: label};
+    var empty = (value === undefined) || (value === null) || (value === '') ||
+      (Array.isArray(value) && !value.length);
+    var addError = function(type, message) {
+      details.push({
+        message: '"' + label + '" ' + message,
+        path: path,
+        type: type,
+        context: context
+      });
+    };
+
+    if (empty) {
+      if (validation.required) {
+        addError('any.required', 'is required');
+      }
+      return;
+    }
+    if (typeof value === 'string') {
+      if (validation.minLength && (value.length < validation.minLength)) {
+        addError('string.min', 'length must be at least ' + validation.minLength + ' characters long');
+      }
+      if (validation.maxLength && (value.length > validation.maxLength)) {
+        addError('string.max', 'length must be less than or equal to ' + validation.maxLength + ' characters long');
+      }
+      if (validation.pattern && !(new RegExp('^' + validation.pattern + '$')).test(value)) {
+        addError('string.regex.base', 'with value "' + value + '" fails to match the required pattern: /^' +
+          validation.pattern + '$/');
+      }
+      if ((component.type === 'email') && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(value)) {
+        addError('string.email', 'must be a valid email');
+      }
+    }
+    if (component.type === 'number') {
+      var number = Number(value);
+      if (isNaN(number)) {
+        addError('number.base', 'must be a number');
+      }
+      else if (((validation.min || validation.min === 0) && validation.min !== '') && (number < validation.min)) {
+        addError('number.min', 'must be larger than or equal to ' + validation.min);
+      }
+      else if (((validation.max || validation.max === 0) && validation.max !== '') && (number > validation.max)) {
+        addError('number.max', 'must be less than or equal to ' + validation.max);
+      }
+    }
+  });
+
+  if (!details.length) {
+    return null;
+  }
+  return {
+    name: 'ValidationError',
+    details: details
+  };
+};
+
+/**
+ * The actions the mock server offers when listing the available actions of a form.
+ */
+var availableActions = [
+  {name: 'save', title: 'Save Submission', description: 'Saves the submission into the database.'},
+  {name: 'email', title: 'Email', description: 'Sends an email when the submission is saved.'},
+  {name: 'webhook', title: 'Webhook', description: 'Sends the submission to a url.'},
+  {name: 'role', title: 'Role Assignment', description: 'Assigns a role to the submission owner.'}
+];
+
+/**
+ * A plugin which answers API requests from an in-memory (or localStorage) database instead of a
+ * Form.io server, for unit tests and demos. It serves the project, form, submission, action, current
+ * user, logout and storage routes that the SDK builds urls for, pages index requests, applies JSON-Patch
+ * updates, checks If-Unmodified-Since preconditions and validates submissions against the components of
+ * their form. Requests outside of the mocked urls are sent to the server as usual.
+ *
+ * @example
+ * Formio.registerPlugin(Formio.availablePlugins.mock({
+ *   projectUrl: 'https://myproject.form.io',
+ *   forms: [{title: 'Contact', name: 'contact', path: 'contact', components: [...]}]
+ * }), 'mock');
+ * let formio = new Formio('https://myproject.form.io/contact');
+ * formio.saveSubmission({data: {name: 'Joe'}}).then((submission) => console.log(submission._id));
+ *
+ * @param {Object} options - The options for this plugin.
+ * @param {string} options.projectUrl - Only mock the requests to this project. Defaults to mocking the
+ *   project and base urls of the client.
+ * @param {string} options.baseUrl - The base url to mock /current and /logout on when a projectUrl is provided.
+ * @param {string|Object} options.store - "memory" (default), "localstorage" or a custom store providing
+ *   promise based getItem(key) and setItem(key, value) methods.
+ * @param {string} options.prefix - The key prefix used by the store. Defaults to "formioMock".
+ * @param {Object} options.project - The project returned for the project url.
+ * @param {Array} options.forms - The forms to seed the database with.
+ * @param {Object} options.submissions - The submissions to seed the database with, keyed by form path or id.
+ * @param {Object} options.user - The user returned by /current.
+ * @param {number} options.latency - Milliseconds to wait before answering each request.
+ * @returns {Object} - The plugin to provide to Formio.registerPlugin.
+ */
+var mock = function(options) {
+  options = options || {};
+  var store = createStore(options);
+  var client = null;
+  var user = options.user ? _cloneDeep(options.user) : null;
+
+  // Chain all store operations so the database is never read and written at the same time.
+  var pending = Promise.resolve();
+  var lock = function(fn) {
+    var result = pending.then(fn);
+    pending = result.then(function() {}, function() {});
+    return result;
+  };
+
+  var seed = function() {
+    var db = {
+      project: _cloneDeep(options.project || {_id: objectId(), title: 'Mock', name: 'mock'}),
+      forms: [],
+      submissions: {},
+      actions: {},
+      files: {}
+    };
+    (options.forms || []).forEach(function(form) {
+      form = createRecord(form, {type: 'form', display: 'form', components: []});
+      db.forms.push(form);
+      db.submissions[form._id] = [];
+      db.actions[form._id] = [createRecord({
+        title: 'Save Submission',
+        name: 'save',
+        handler: ['before'],
+        method: ['create', 'update'],
+        priority: 10,
+        form: form._id
+      })];
+    });
+    var submissions = options.submissions || {};
+    Object.keys(submissions).forEach(function(key) {
+      var form = findForm(db, key);
+      if (form) {
+        db.submissions[form._id] = submissions[key].map(function(submission) {
+          return createRecord(submission, {data: {}, form: form._id, owner: null});
+        });
+      }
+    });
+    return db;
+  };
+
+  var createRecord = function(record, defaults) {
+    var now = new Date().toISOString();
+    record = _assign({}, defaults || {}, _cloneDeep(record));
+    record._id = record._id || objectId();
+    record.created = record.created || now;
+    record.modified = record.modified || now;
+    return record;
+  };
+
+  var findForm = function(db, idOrPath) {
+    return db.forms.filter(function(form) {
+      return (form._id === idOrPath) || (form.path === idOrPath) || (form.name === idOrPath);
+    })[0] || null;
+  };
+
+  var load = function() {
+    return store.getItem('db').then(function(db) {
+      if (db) {
+        return db;
+      }
+      db = seed();
+      return store.setItem('db', db);
+    });
+  };
+
+  /**
+   * Runs fn with the database and saves the database again if fn changed it.
+   */
+  var transaction = function(fn) {
+    return lock(function() {
+      return load().then(function(db) {
+        var result = fn(db);
+        if (result && result.changed) {
+          return store.setItem('db', db).then(function() {
+            return result.value;
+          });
+        }
+        return result ? result.value : null;
+      });
+    }).then(function(value) {
+      var result = _cloneDeep(value);
+      if (Array.isArray(value)) {
+        result.skip = value.skip;
+        result.limit = value.limit;
+        result.serverCount = value.serverCount;
+      }
+      return result;
+    });
+  };
+
+  var changed = function(value) {
+    return {changed: true, value: value};
+  };
+
+  var unchanged = function(value) {
+    return {changed: false, value: value};
+  };
+
+  var delay = function(result) {
+    if (!options.latency) {
+      return result;
+    }
+    return new Promise(function(resolve) {
+      setTimeout(resolve, options.latency);
+    }).then(function() {
+      return result;
+    });
+  };
+
+  /**
+   * Returns the path of a url relative to the mocked project, or null if the url is not mocked.
+   */
+  var getPath = function(url, formio) {
+    var prefixes = options.projectUrl ? [options.projectUrl, options.baseUrl] : [
+      formio && formio.projectUrl,
+      client && client.getProjectUrl(),
+      client && client.getBaseUrl()
+    ];
+    prefixes = prefixes.filter(Boolean).sort(function(a, b) {
+      return b.length - a.length;
+    });
+    for (var i = 0; i < prefixes.length; i++) {
+      var prefix = prefixes[i].replace(/\/$/, '');
+      var next = url.charAt(prefix.length);
+      if ((url.indexOf(prefix) === 0) && (!next || (next === '/') || (next === '?'))) {
+        return url.substr(prefix.length).replace(/\?.*$/, '').replace(/\/$/, '');
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Returns the error of an If-Unmodified-Since precondition which the record no longer meets, if any.
+   */
+  var checkPrecondition = function(record, headers) {
+    var since = (headers && headers.get) ? headers.get('If-Unmodified-Since') : null;
+    if (!since || !record.modified) {
+      return null;
+    }
+    // HTTP dates only have a precision of seconds.
+    if (Math.floor(Date.parse(record.modified) / 1000) > Math.floor(Date.parse(since) / 1000)) {
+      return 'The record was modified since ' + since;
+    }
+    return null;
+  };
+
+  /**
+   * Handles the CRUD routes of a collection of records.
+   */
+  var collection = function(db, records, id, method, data, url, defaults, validator, headers) {
+    var index = -1;
+    if (id) {
+      records.forEach(function(record, i) {
+        if (record._id === id) {
+          index = i;
+        }
+      });
+      if (index === -1) {
+        throw FormioError.fromResponse(404, 'Not found');
+      }
+    }
+    var error = null;
+    if (id && (method !== 'GET') && (error = checkPrecondition(records[index], headers))) {
+      throw FormioError.fromResponse(412, error);
+    }
+    switch (method) {
+      case 'GET':
+        return unchanged(id ? records[index] : queryItems(records, url));
+      case 'POST':
+        if (id) {
+          throw FormioError.fromResponse(405, 'Method not allowed');
+        }
+        if (validator && (error = validator(data || {}))) {
+          throw FormioError.fromResponse(400, error);
+        }
+        var record = createRecord(data || {}, defaults);
+        records.push(record);
+        return changed(record);
+      case 'PATCH':
+        if (!id) {
+          throw FormioError.fromResponse(405, 'Method not allowed');
+        }
+        try {
+          data = FormioPatch.applyPatch(records[index], data || []);
+        }
+        catch (err) {
+          throw FormioError.fromResponse(400, err.message);
+        }
+        // falls through
+      case 'PUT':
+        if (!id) {
+          throw FormioError.fromResponse(405, 'Method not allowed');
+        }
+        if (validator && (error = validator(data || {}, records[index]))) {
+          throw FormioError.fromResponse(400, error);
+        }
+        records[index] = _assign({}, records[index], _cloneDeep(data || {}), {
+          _id: id,
+          created: records[index].created,
+          modified: new Date().toISOString()
+        });
+        return changed(records[index]);
+      case 'DELETE':
+        if (!id) {
+          throw FormioError.fromResponse(405, 'Method not allowed');
+        }
+        records.splice(index, 1);
+        return changed({});
+    }
+    throw FormioError.fromResponse(405, 'Method not allowed');
+  };
+
+  var validateSubmission = function(form) {
+    return function(submission) {
+      return validate(form, submission.data || {});
+    };
+  };
+
+  var validateForm = function(db) {
+    return function(form, existing) {
+      var duplicate = db.forms.filter(function(other) {
+        return (other.path === form.path) && (!existing || (other._id !== existing._id));
+      }).length;
+      if (!form.path && existing) {
+        return null;
+      }
+      var details = [];
+      ['title', 'name', 'path'].forEach(function(key) {
+        if (!form[key]) {
+          details.push({message: '"' + key + '" is required', path: key, type: 'any.required', context: {key: key}});
+        }
+      });
+      if (duplicate) {
+        details.push({message: 'The Path must be unique.', path: 'path', type: 'any.unique', context: {key: 'path'}});
+      }
+      return details.length ? {name: 'ValidationError', details: details} : null;
+    };
+  };
+
+  /**
+   * Routes a request to the mock database.
+   */
+  var route = function(path, method, data, url, headers) {
+    var parts = path.split('/').filter(Boolean);
+
+    if (path === '/current') {
+      if (!user) {
+        return Promise.reject(FormioError.fromResponse(401, 'Unauthorized'));
+      }
+      return Promise.resolve(_cloneDeep(user));
+    }
+    if (path === '/logout') {
+      user = null;
+      return Promise.resolve({});
+    }
+
+    return transaction(function(db) {
+      if (!parts.length) {
+        if (method === 'GET') {
+          return unchanged(db.project);
+        }
+        if (method === 'PUT') {
+          db.project = _assign({}, db.project, data, {_id: db.project._id});
+          return changed(db.project);
+        }
+        throw FormioError.fromResponse(405, 'Method not allowed');
+      }
+      if ((parts[0] === 'project') && (parts.length === 1) && (method === 'GET')) {
+        return unchanged(queryItems([db.project], url));
+      }
+      if (parts[0] === 'actions') {
+        return unchanged(availableActions);
+      }
+
+      var form = null;
+      var rest = [];
+      if (parts[0] === 'form') {
+        if (parts.length === 1) {
+          return collection(db, db.forms, null, method, data, url, {type: 'form', display: 'form', components: []},
+            validateForm(db), headers);
+        }
+        form = findForm(db, parts[1]);
+        rest = parts.slice(2);
+      }
+      else {
+        // Look up the form by its path, which may contain slashes.
+        db.forms.forEach(function(candidate) {
+          var formParts = (candidate.path || '').split('/').filter(Boolean);
+          if (
+            formParts.length &&
+            (formParts.join('/') === parts.slice(0, formParts.length).join('/')) &&
+            (!form || (formParts.length > form.path.split('/').filter(Boolean).length))
+          ) {
+            form = candidate;
+            rest = parts.slice(formParts.length);
+          }
+        });
+      }
+      if (!form) {
+        throw FormioError.fromResponse(404, 'Not found');
+      }
+
+      if (!rest.length) {
+        if (method === 'DELETE') {
+          db.forms.splice(db.forms.indexOf(form), 1);
+          delete db.submissions[form._id];
+          delete db.actions[form._id];
+          return changed({});
+        }
+        return collection(db, db.forms, form._id, method, data, url, null, validateForm(db), headers);
+      }
+
+      switch (rest[0]) {
+        case 'submission':
+          db.submissions[form._id] = db.submissions[form._id] || [];
+          return collection(db, db.submissions[form._id], rest[1], method, data, url, {
+            data: {},
+            form: form._id,
+            owner: user ? user._id : null
+          }, validateSubmission(form), headers);
+        case 'action':
+          db.actions[form._id] = db.actions[form._id] || [];
+          return collection(db, db.actions[form._id], rest[1], method, data, url, {form: form._id}, null, headers);
+        case 'actions':
+          if (rest[1]) {
+            var action = availableActions.filter(function(action) {
+              return action.name === rest[1];
+            })[0];
+            if (!action) {
+              throw FormioError.fromResponse(404, 'Not found');
+            }
+            return unchanged(action);
+          }
+          return unchanged(availableActions);
+        case 'storage':
+          var key = parseQuery(url).filter(function(pair) {
+            return (pair[0] === 'key') || (pair[0] === 'path_lower');
+          })[0];
+          var file = key ? db.files[key[1]] : null;
+          if (!file) {
+            throw FormioError.fromResponse(404, 'Not found');
+          }
+          return unchanged(file);
+      }
+      throw FormioError.fromResponse(404, 'Not found');
+    });
+  };
+
+  var handle = function(url, method, data, formio, headers) {
+    var path = getPath(url, formio);
+    if (path === null) {
+      return null;
+    }
+    return delay(route(path, method, data, url, headers).catch(function(err) {
+      err.url = url;
+      err.method = method;
+      throw err;
+    }));
+  };
+
+  var plugin = {
+    priority: 0,
+
+    init: function(formio) {
+      client = formio;
+    },
+
+    /**
+     * Sets the user returned by /current, for example to simulate a login.
+     *
+     * @param {Object} value - The user submission or null to log out.
+     */
+    setUser: function(value) {
+      user = value ? _cloneDeep(value) : null;
+    },
+
+    /**
+     * Returns a copy of the mock database.
+     *
+     * @returns {Promise.<Object>}
+     */
+    getDatabase: function() {
+      return transaction(function(db) {
+        return unchanged(db);
+      });
+    },
+
+    /**
+     * Resets the database to the seeded forms and submissions.
+     *
+     * @returns {Promise}
+     */
+    reset: function() {
+      return lock(function() {
+        return store.setItem('db', seed());
+      });
+    },
+
+    request: function(args) {
+      return handle(args.url, args.method, args.data, args.formio, args.opts && args.opts.header);
+    },
+
+    staticRequest: function(args) {
+      return handle(args.url, args.method, args.data);
+    },
+
+    fileRequest: function(args) {
+      if (args.method === 'upload') {
+        var file = args.file || {};
+        var key = (args.dir || '') + args.fileName;
+        var result = {
+          storage: args.provider,
+          name: args.fileName,
+          key: key,
+          url: ((typeof URL !== 'undefined') && URL.createObjectURL && (typeof Blob !== 'undefined') &&
+            (file instanceof Blob)) ? URL.createObjectURL(file) : key,
+          size: file.size,
+          type: file.type
+        };
+        return delay(transaction(function(db) {
+          db.files[key] = result;
+          return changed(result);
+        }));
+      }
+      if (args.method === 'download') {
+        return delay(transaction(function(db) {
+          return unchanged(db.files[args.file.key] || args.file);
+        }));
+      }
+      return null;
+    }
+  };
+
+  return plugin;
+};
+
+mock.validate = validate;
+module.exports = mock;
@@ -0,0 +1,469 @@
+var Promise = require("native-promise-only");
+var _assign = require('lodash/assign');
+var _clone = require('lodash/clone');
+var FormioError = require('../formio.error');
+
+/**
+ * Key value stores used to persist the offline queue. Every store returns promises so that
+ * asynchronous backends (IndexedDB) and synchronous backends (localStorage) can be swapped.
+ */
+var stores = {
+  memory: function() {
+    var items = {};
+    return {
+      getItem: function(key) {
+        return Promise.resolve(items.hasOwnProperty(key) ? items[key] : null);
+      },
+      setItem: function(key, value) {
+        items[key] = value;
+        return Promise.resolve(value);
+      }
+    };
+  },
+  localstorage: function(options) {
+    var prefix = options.prefix || 'formioOffline';
+    return {
+      getItem: function(key) {
+        try {
+          return Promise.resolve(JSON.parse(localStorage.getItem(prefix + '.' + key) || null));
+        }
+        catch (err) {
+          return Promise.reject(err);
+        }
+      },
+      setItem: function(key, value) {
+        try {
+          localStorage.setItem(prefix + '.' + key, JSON.stringify(value));
+          return Promise.resolve(value);
+        }
+        catch (err) {
+          return Promise.reject(err);
+        }
+      }
+    };
+  },
+  indexeddb: function(options) {
+    var name = options.prefix || 'formioOffline';
+    var db = null;
+    var getDb = function() {
+      if (db) {
+        return db;
+      }
+      return db = new Promise(function(resolve, reject) {
+        var request = indexedDB.open(name, 1);
+        request.onupgradeneeded = function() {
+          request.result.createObjectStore('items');
+        };
+        request.onsuccess = function() {
+          resolve(request.result);
+        };
+        request.onerror = function() {
+          reject(request.error);
+        };
+      });
+    };
+    var transaction = function(mode, fn) {
+      return getDb().then(function(database) {
+        return new Promise(function(resolve, reject) {
+          var request = fn(database.transaction('items', mode).objectStore('items'));
+          request.onsuccess = function() {
+            resolve(request.result);
+          };
+          request.onerror = function() {
+            reject(request.error);
+          };
+        });
+      });
+    };
+    return {
+      getItem: function(key) {
+        return transaction('readonly', function(store) {
+          return store.get(key);
+        }).then(function(value) {
+          return (value === undefined) ? null : value;
+        });
+      },
+      setItem: function(key, value) {
+        return transaction('readwrite', function(store) {
+          return store.put(value, key);
+        }).then(function() {
+          return value;
+        });
+      }
+    };
+  }
+};
+
+/**
+ * Determine the best available store for this environment.
+ */
+var createStore = function(options) {
+  var store = options.store;
+  if (store && typeof store === 'object') {
+    return store;
+  }
+  if (!store) {
+    if (typeof indexedDB !== 'undefined') {
+      store = 'indexeddb';
+    }
+    else {
+      try {
+        localStorage.getItem('formioOffline');
+        store = 'localstorage';
+      }
+      catch (err) {
+        store = 'memory';
+      }
+    }
+  }
+  if (!stores.hasOwnProperty(store)) {
+    throw new FormioError('Offline store ' + store + ' not found');
+  }
+  return stores[store](options);
+};
+
+/**
+ * Returns if this request creates or updates a submission.
+ */
+var isSubmissionSave = function(args) {
+  return (args.type === 'submission') && ((args.method === 'POST') || (args.method === 'PUT'));
+};
+
+/**
+ * Returns if the server could not be reached. Timeouts are excluded, as the server may have received and saved
+ * the request, so queuing it again would create a duplicate submission.
+ */
+var isConnectionError = function(err) {
+  return !!err && !!err.networkError && !err.timeout;
+};
+
+/**
+ * Returns the headers of a request as a plain object which the store can persist. The token is left out, as
+ * the current token is sent when the request is replayed.
+ */
+var getHeaders = function(header) {
+  if (!header) {
+    return null;
+  }
+  var headers = {};
+  if (typeof header.forEach === 'function') {
+    header.forEach(function(value, name) {
+      headers[name] = value;
+    });
+  }
+  else {
+    _assign(headers, header);
+  }
+  Object.keys(headers).forEach(function(name) {
+    if (name.toLowerCase() === 'x-jwt-token') {
+      delete headers[name];
+    }
+  });
+  return headers;
+};
+
+/**
+ * Returns the request options which the store can persist, which are those with primitive values. Headers and
+ * signals are left out.
+ */
+var getOptions = function(opts) {
+  var result = {};
+  Object.keys(opts || {}).forEach(function(name) {
+    var value = opts[name];
+    if ((name !== 'header') && ((value === null) || (['string', 'number', 'boolean'].indexOf(typeof value) !== -1))) {
+      result[name] = value;
+    }
+  });
+  return result;
+};
+
+/**
+ * Returns the form url for a request by stripping off the submission path.
+ */
+var getFormUrl = function(args) {
+  if (args.formio && args.formio.formUrl) {
+    return args.formio.formUrl;
+  }
+  return args.url.replace(/\/submission($|\/.*)/, '').replace(/\?.*$/, '');
+};
+
+/**
+ * A plugin which queues submissions while the client is offline and replays them once
+ * connectivity returns. Register it to opt in to offline mode.
+ *
+ * @example
+ * Formio.registerPlugin(Formio.availablePlugins.offline(), 'offline');
+ * Formio.events.on('offline.queued', (request) => console.log('Saved for later', request));
+ *
+ * @param {Object} options - The options for this plugin.
+ * @param {string|Object} options.store - "indexeddb", "localstorage", "memory" or a custom store providing
+ *   promise based getItem(key) and setItem(key, value) methods. Defaults to the best available store.
+ * @param {string} options.prefix - The database name or key prefix used by the store.
+ * @param {boolean} options.autoReplay - Replay the queue when the browser comes back online. Defaults to true.
+ * @returns {Object} - The plugin to provide to Formio.registerPlugin.
+ */
+var offline = function(options) {
+  options = options || {};
+  var store = createStore(options);
+  var Formio = null;
+
+  /**
+   * Returns the Formio class, which is required once it is needed as it requires this plugin itself.
+   */
+  var getFormioClass = function() {
+    return (typeof Formio === 'function') ? Formio : require('../formio');
+  };
+
+  /**
+   * Sends a queued request through the plugins of a new instance for its url, as the original request was sent.
+   */
+  var send = function(request) {
+    var FormioClass = getFormioClass();
+    var formio = new FormioClass(request.url, {client: Formio});
+    var opts = _assign({}, request.opts, {skipQueue: true});
+    if (request.headers) {
+      opts.header = new (FormioClass.Headers || Headers)(request.headers);
+    }
+    return formio.makeRequest(request.type, request.url, request.method, request.data, opts).then(function(result) {
+      // Lists of submissions which were cached while the request was queued miss the new submission.
+      return formio.invalidateCache('submission').then(function() {
+        return result;
+      });
+    });
+  };
+
+  // Chain all store operations so the queue is never read and written at the same time.
+  var pending = Promise.resolve();
+  var lock = function(fn) {
+    var result = pending.then(fn);
+    pending = result.then(function() {}, function() {});
+    return result;
+  };
+
+  var onOnline = function() {
+    plugin.replay();
+  };
+
+  var plugin = {
+    priority: 0,
+
+    /**
+     * Set to true to force offline mode regardless of the browser connectivity.
+     * @type {boolean}
+     */
+    forceOffline: false,
+
+    init: function(formio) {
+      Formio = formio;
+      if ((options.autoReplay !== false) && (typeof window !== 'undefined') && window.addEventListener) {
+        window.addEventListener('online', onOnline);
+      }
+      if (!plugin.isOffline() && (options.autoReplay !== false)) {
+        plugin.replay();
+      }
+    },
+
+    deregister: function() {
+      if ((typeof window !== 'undefined') && window.removeEventListener) {
+        window.removeEventListener('online', onOnline);
+      }
+    },
+
+    /**
+     * Returns if the client is currently offline.
+     *
+     * @returns {boolean}
+     */
+    isOffline: function() {
+      if (plugin.forceOffline) {
+        return true;
+      }
+      return (typeof navigator !== 'undefined') && (navigator.onLine === false);
+    },
+
+    /**
+     * Switch offline mode on or off. Switching it off will replay the queue.
+     *
+     * @param {boolean} offline - If the client should be treated as offline.
+     * @returns {Promise}
+     */
+    setOffline: function(offline) {
+      plugin.forceOffline = !!offline;
+      return offline ? Promise.resolve([]) : plugin.replay();
+    },
+
+    /**
+     * Returns the queued requests in the order they will be replayed.
+     *
+     * @returns {Promise.<Array>}
+     */
+    getQueue: function() {
+      return store.getItem('queue').then(function(queue) {
+        return queue || [];
+      });
+    },
+
+    /**
+     * Returns a form schema that was stored for offline use.
+     *
+     * @param {string} formUrl - The url of the form.
+     * @returns {Promise.<Object>}
+     */
+    getForm: function(formUrl) {
+      return store.getItem('forms').then(function(forms) {
+        return (forms && forms[formUrl]) || null;
+      });
+    },
+
+    /**
+     * Stores a form schema so it can be loaded while offline.
+     */
+    saveForm: function(formUrl, form) {
+      return lock(function() {
+        return store.getItem('forms').then(function(forms) {
+          forms = forms || {};
+          forms[formUrl] = form;
+          return store.setItem('forms', forms);
+        });
+      });
+    },
+
+    /**
+     * Adds a request to the end of the queue.
+     *
+     * @param {Object} args - The request arguments provided to the plugin hooks.
+     * @returns {Promise.<Object>} - The queued request.
+     */
+    queue: function(args) {
+      var request = {
+        id: Date.now().toString(36) + Math.random().toString(36).substring(2, 7),
+        type: args.type,
+        url: args.url,
+        method: args.method,
+        data: args.data,
+        headers: getHeaders(args.opts && args.opts.header),
+        opts: getOptions(args.opts),
+        formUrl: getFormUrl(args),
+        created: new Date().toISOString()
+      };
+      return lock(function() {
+        return store.getItem('queue').then(function(queue) {
+          queue = queue || [];
+          queue.push(request);
+          return store.setItem('queue', queue);
+        });
+      }).then(function() {
+        Formio.events.emit('offline.queued', request);
+        return request;
+      });
+    },
+
+    /**
+     * Sends all queued requests to the server in the order they were queued, with their original headers and
+     * options, and removes the cached submissions of their forms. Replay stops at the first network error so the
+     * remaining requests keep their order for the next attempt.
+     *
+     * @returns {Promise.<Array>} - The results of the replayed requests.
+     */
+    replay: function() {
+      if (plugin.replaying) {
+        return plugin.replaying;
+      }
+      var results = [];
+      var next = function() {
+        if (plugin.isOffline()) {
+          return Promise.resolve(results);
+        }
+        return plugin.getQueue().then(function(queue) {
+          if (!queue.length) {
+            return results;
+          }
+          var request = queue[0];
+          return send(request)
+            .then(function(result) {
+              Formio.events.emit('offline.replayed', request, result);
+              results.push(result);
+              return plugin.dequeue(request);
+            }, function(err) {
+              if (isConnectionError(err)) {
+                throw err;
+              }
+              Formio.events.emit('offline.failed', request, err);
+              return plugin.dequeue(request);
+            })
+            .then(next);
+        });
+      };
+      plugin.replaying = next()
+        .catch(function() {
+          return results;
+        })
+        .then(function(result) {
+          plugin.replaying = null;
+          return result;
+        });
+      return plugin.replaying;
+    },
+
+    /**
+     * Removes a request from the queue.
+     */
+    dequeue: function(request) {
+      return lock(function() {
+        return store.getItem('queue').then(function(queue) {
+          return store.setItem('queue', (queue || []).filter(function(item) {
+            return item.id !== request.id;
+          }));
+        });
+      });
+    },
+
+    request: function(args) {
+      if (args.opts.skipQueue || !plugin.isOffline()) {
+        return null;
+      }
+
+      // Serve forms from the offline store.
+      if ((args.type === 'form') && (args.method === 'GET')) {
+        return plugin.getForm(getFormUrl(args));
+      }
+
+      if (isSubmissionSave(args)) {
+        return plugin.queue(args).then(plugin.queuedResult);
+      }
+      return null;
+    },
+
+    wrapRequestPromise: function(promise, args) {
+      if (args.opts.skipQueue) {
+        return promise;
+      }
+      return promise.then(function(result) {
+        if ((args.type === 'form') && (args.method === 'GET') && result && result.components) {
+          plugin.saveForm(getFormUrl(args), _clone(result));
+        }
+        return result;
+      }, function(err) {
+        if (isConnectionError(err) && isSubmissionSave(args)) {
+          return plugin.queue(args).then(plugin.queuedResult);
+        }
+        throw err;
+      });
+    },
+
+    /**
+     * The submission returned to the caller when a request is queued.
+     */
+    queuedResult: function(request) {
+      return _assign({}, request.data, {
+        offline: true,
+        offlineId: request.id
+      });
+    }
+  };
+
+  return plugin;
+};
+
+offline.stores = stores;
+module.exports = offline;
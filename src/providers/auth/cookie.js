@@ -0,0 +1,52 @@
+/**
+ * Stores the token and user within cookies.
+ *
+ * @param {Object} options - The cookie options.
+ * @param {string} options.path - The path of the cookies. Defaults to "/".
+ * @param {string} options.domain - The domain of the cookies.
+ * @param {number} options.expires - The number of days until the cookies expire. Defaults to a session cookie.
+ * @param {boolean} options.secure - Only send the cookies over https.
+ * @param {string} options.sameSite - The SameSite attribute of the cookies.
+ */
+var cookie = function(options) {
+  options = options || {};
+  var write = function(key, value, expires) {
+    var parts = [encodeURIComponent(key) + '=' + encodeURIComponent(value)];
+    parts.push('path=' + (options.path || '/'));
+    if (options.domain) {
+      parts.push('domain=' + options.domain);
+    }
+    if (expires) {
+      parts.push('expires=' + expires.toUTCString());
+    }
+    if (options.secure) {
+      parts.push('secure');
+    }
+    if (options.sameSite) {
+      parts.push('samesite=' + options.sameSite);
+    }
+    document.cookie = parts.join('; ');
+  };
+
+  return {
+    getItem: function(key) {
+      var name = encodeURIComponent(key) + '=';
+      var cookies = document.cookie ? document.cookie.split(/;\s*/) : [];
+      for (var i = 0; i < cookies.length; i++) {
+        if (cookies[i].indexOf(name) === 0) {
+          return decodeURIComponent(cookies[i].substring(name.length));
+        }
+      }
+      return null;
+    },
+    setItem: function(key, value) {
+      write(key, value, options.expires ? new Date(Date.now() + (options.expires * 86400000)) : null);
+    },
+    removeItem: function(key) {
+      write(key, '', new Date(0));
+    }
+  };
+};
+
+cookie.title = 'Cookie';
+module.exports = cookie;
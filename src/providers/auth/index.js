@@ -0,0 +1,6 @@
+module.exports = {
+  local: require('./local.js'),
+  session: require('./session.js'),
+  memory: require('./memory.js'),
+  cookie: require('./cookie.js')
+};
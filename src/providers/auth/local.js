@@ -0,0 +1,3 @@
+var local = require('./web.js')('localStorage');
+local.title = 'Local Storage';
+module.exports = local;
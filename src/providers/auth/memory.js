@@ -0,0 +1,20 @@
+/**
+ * Keeps the token and user in memory so they are forgotten when the page is closed.
+ */
+var memory = function() {
+  var items = {};
+  return {
+    getItem: function(key) {
+      return items.hasOwnProperty(key) ? items[key] : null;
+    },
+    setItem: function(key, value) {
+      items[key] = String(value);
+    },
+    removeItem: function(key) {
+      delete items[key];
+    }
+  };
+};
+
+memory.title = 'Memory';
+module.exports = memory;
@@ -0,0 +1,3 @@
+var session = require('./web.js')('sessionStorage');
+session.title = 'Session Storage';
+module.exports = session;
@@ -0,0 +1,42 @@
+/**
+ * Creates an adapter around a Web Storage object such as localStorage or sessionStorage. Sandboxed
+ * iframes and private browsing modes throw when the storage is accessed, in which case the values
+ * are kept in memory for the lifetime of the page instead.
+ *
+ * @param {string} name - The name of the global storage object.
+ */
+module.exports = function(name) {
+  return function() {
+    var fallback = {};
+    var getStorage = function() {
+      return (typeof window !== 'undefined') ? window[name] : null;
+    };
+    return {
+      getItem: function(key) {
+        try {
+          return getStorage().getItem(key);
+        }
+        catch (err) {
+          return fallback.hasOwnProperty(key) ? fallback[key] : null;
+        }
+      },
+      setItem: function(key, value) {
+        try {
+          getStorage().setItem(key, value);
+        }
+        catch (err) {
+          fallback[key] = value;
+        }
+      },
+      removeItem: function(key) {
+        delete fallback[key];
+        try {
+          getStorage().removeItem(key);
+        }
+        catch (err) {
+          // Do nothing.
+        }
+      }
+    };
+  };
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  memory: require('./memory.js'),
+  session: require('./session.js'),
+  indexeddb: require('./indexeddb.js')
+};
@@ -0,0 +1,130 @@
+var Promise = require("native-promise-only");
+
+/**
+ * A cache persisted in IndexedDB so large form schemas and resource lists survive page reloads.
+ * Entries are evicted least recently used first once maxEntries is reached.
+ *
+ * @param {Object} options - The cache options.
+ * @param {number} options.maxEntries - The maximum number of entries to keep. Defaults to 500.
+ * @param {number} options.ttl - The default time to live of an entry in milliseconds. 0 never expires.
+ * @param {string} options.name - The name of the database. Defaults to "formioCache".
+ */
+var indexeddb = function(options) {
+  options = options || {};
+  var db = null;
+  var getDb = function() {
+    if (db) {
+      return db;
+    }
+    return db = new Promise(function(resolve, reject) {
+      var request = indexedDB.open(options.name || 'formioCache', 1);
+      request.onupgradeneeded = function() {
+        request.result.createObjectStore('entries');
+      };
+      request.onsuccess = function() {
+        resolve(request.result);
+      };
+      request.onerror = function() {
+        reject(request.error);
+      };
+    });
+  };
+
+  // Run a single request against the object store.
+  var execute = function(mode, fn) {
+    return getDb().then(function(database) {
+      return new Promise(function(resolve, reject) {
+        var request = fn(database.transaction('entries', mode).objectStore('entries'));
+        request.onsuccess = function() {
+          resolve(request.result);
+        };
+        request.onerror = function() {
+          reject(request.error);
+        };
+      });
+    });
+  };
+
+  // Returns all records as {key, accessed} pairs.
+  var getRecords = function() {
+    return getDb().then(function(database) {
+      return new Promise(function(resolve, reject) {
+        var records = [];
+        var request = database.transaction('entries', 'readonly').objectStore('entries').openCursor();
+        request.onsuccess = function() {
+          var cursor = request.result;
+          if (!cursor) {
+            return resolve(records);
+          }
+          records.push({key: cursor.key, accessed: cursor.value.accessed});
+          cursor.continue();
+        };
+        request.onerror = function() {
+          reject(request.error);
+        };
+      });
+    });
+  };
+
+  var store = {
+    maxEntries: options.maxEntries || 500,
+    ttl: options.ttl || 0,
+    get: function(key) {
+      return execute('readonly', function(objectStore) {
+        return objectStore.get(key);
+      }).then(function(record) {
+        if (!record) {
+          return null;
+        }
+        record.accessed = Date.now();
+        execute('readwrite', function(objectStore) {
+          return objectStore.put(record, key);
+        }).catch(function() {});
+        return record.entry;
+      }, function() {
+        return null;
+      });
+    },
+    set: function(key, entry) {
+      return execute('readwrite', function(objectStore) {
+        return objectStore.put({entry: entry, accessed: Date.now()}, key);
+      })
+        .then(getRecords)
+        .then(function(records) {
+          if (records.length <= store.maxEntries) {
+            return;
+          }
+          records.sort(function(a, b) {
+            return a.accessed - b.accessed;
+          });
+          return Promise.all(records.slice(0, records.length - store.maxEntries).map(function(record) {
+            return store.remove(record.key);
+          }));
+        })
+        .then(function() {
+          return entry;
+        });
+    },
+    remove: function(key) {
+      return execute('readwrite', function(objectStore) {
+        return objectStore.delete(key);
+      });
+    },
+    clear: function() {
+      return execute('readwrite', function(objectStore) {
+        return objectStore.clear();
+      });
+    },
+    keys: function() {
+      return getRecords().then(function(records) {
+        return records.map(function(record) {
+          return record.key;
+        });
+      });
+    }
+  };
+  return store;
+};
+
+indexeddb.title = 'IndexedDB';
+module.exports = indexeddb;
@@ -0,0 +1,58 @@
+/**
+ * An in memory cache which evicts the least recently used entries once maxEntries is reached.
+ *
+ * @param {Object} options - The cache options.
+ * @param {number} options.maxEntries - The maximum number of entries to keep. Defaults to 100.
+ * @param {number} options.ttl - The default time to live of an entry in milliseconds. 0 never expires.
+ */
+var memory = function(options) {
+  options = options || {};
+  var entries = {};
+
+  // The keys ordered from least to most recently used.
+  var order = [];
+  var touch = function(key) {
+    var index = order.indexOf(key);
+    if (index !== -1) {
+      order.splice(index, 1);
+    }
+    order.push(key);
+  };
+
+  return {
+    maxEntries: options.maxEntries || 100,
+    ttl: options.ttl || 0,
+    get: function(key) {
+      if (!entries.hasOwnProperty(key)) {
+        return null;
+      }
+      touch(key);
+      return entries[key];
+    },
+    set: function(key, entry) {
+      entries[key] = entry;
+      touch(key);
+      while (order.length > this.maxEntries) {
+        delete entries[order.shift()];
+      }
+      return entry;
+    },
+    remove: function(key) {
+      var index = order.indexOf(key);
+      if (index !== -1) {
+        order.splice(index, 1);
+      }
+      delete entries[key];
+    },
+    clear: function() {
+      entries = {};
+      order = [];
+    },
+    keys: function() {
+      return order.slice();
+    }
+  };
+};
+
+memory.title = 'Memory';
+module.exports = memory;
@@ -0,0 +1,95 @@
+/**
+ * A cache persisted in sessionStorage so it survives page reloads within the same tab. Entries
+ * are evicted least recently used first once maxEntries is reached, or when the quota is exceeded.
+ *
+ * @param {Object} options - The cache options.
+ * @param {number} options.maxEntries - The maximum number of entries to keep. Defaults to 100.
+ * @param {number} options.ttl - The default time to live of an entry in milliseconds. 0 never expires.
+ * @param {string} options.prefix - The prefix of the sessionStorage keys. Defaults to "formioCache".
+ */
+var session = function(options) {
+  options = options || {};
+  var prefix = (options.prefix || 'formioCache') + '.';
+  var indexKey = prefix + '__index';
+
+  // Private browsing modes may throw on every access, so treat those failures as cache misses.
+  var read = function(key) {
+    try {
+      return JSON.parse(sessionStorage.getItem(key) || null);
+    }
+    catch (err) {
+      return null;
+    }
+  };
+  var write = function(key, value) {
+    try {
+      sessionStorage.setItem(key, JSON.stringify(value));
+      return true;
+    }
+    catch (err) {
+      return false;
+    }
+  };
+  var unset = function(key) {
+    try {
+      sessionStorage.removeItem(key);
+    }
+    catch (err) {
+      // Do nothing.
+    }
+  };
+  var getIndex = function() {
+    return read(indexKey) || [];
+  };
+  var touch = function(index, key) {
+    var position = index.indexOf(key);
+    if (position !== -1) {
+      index.splice(position, 1);
+    }
+    index.push(key);
+    return index;
+  };
+
+  return {
+    maxEntries: options.maxEntries || 100,
+    ttl: options.ttl || 0,
+    get: function(key) {
+      var entry = read(prefix + key);
+      if (entry) {
+        write(indexKey, touch(getIndex(), key));
+      }
+      return entry;
+    },
+    set: function(key, entry) {
+      var index = touch(getIndex(), key);
+      while (index.length > this.maxEntries) {
+        unset(prefix + index.shift());
+      }
+
+      // Free up space until the entry fits or there is nothing left to evict.
+      while (!write(prefix + key, entry) && (index.length > 1)) {
+        unset(prefix + index.shift());
+      }
+      write(indexKey, index);
+      return entry;
+    },
+    remove: function(key) {
+      unset(prefix + key);
+      write(indexKey, getIndex().filter(function(item) {
+        return item !== key;
+      }));
+    },
+    clear: function() {
+      getIndex().forEach(function(key) {
+        unset(prefix + key);
+      });
+      unset(indexKey);
+    },
+    keys: function() {
+      return getIndex();
+    }
+  };
+};
+
+session.title = 'Session Storage';
+module.exports = session;
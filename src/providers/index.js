@@ -1,3 +1,6 @@
 module.exports = {
-  storage: require('./storage')
+  storage: require('./storage'),
+  cache: require('./cache'),
+  auth: require('./auth'),
+  transport: require('./transport')
 };
@@ -0,0 +1,67 @@
+var FormioError = require('../../formio.error');
+var base = require('./base.js');
+
+/**
+ * Uploads files directly to Azure Blob Storage with shared access signature (SAS) urls, which the server creates
+ * for each upload and download, so that no account key is provided to the browser.
+ *
+ * The name, dir, size and type of the file are sent with POST to the storage/azure url of the form, which responds
+ * with the {url, name} of the blob, where url is the SAS url that permits writing the blob. The file is sent to it
+ * with PUT as a block blob. Files are downloaded from the SAS url the server responds with to a GET of the
+ * storage/azure url with the name of the blob.
+ */
+var azure = function(formio) {
+  var provider = base(formio);
+  return {
+    title: 'Azure Blob Storage',
+    name: 'azure',
+    uploadFile: function(file, fileName, dir, progressCallback, url, options) {
+      var signal = provider.signal(options);
+      return provider.send({
+        method: 'POST',
+        url: formio.formUrl + '/storage/azure',
+        headers: provider.headers({
+          'Accept': 'application/json',
+          'Content-Type': 'application/json; charset=UTF-8'
+        }),
+        body: JSON.stringify({
+          name: fileName,
+          dir: dir,
+          size: file.size,
+          type: file.type
+        })
+      }, signal, 'Unable to sign file').then(function(pre) {
+        var response = provider.parse(pre);
+        if (!response.url) {
+          throw new FormioError('Unable to sign file', {
+            status: pre.status,
+            url: formio.formUrl + '/storage/azure',
+            method: 'POST',
+            response: response
+          });
+        }
+        return provider.send({
+          method: 'PUT',
+          url: response.url,
+          headers: {
+            'x-ms-blob-type': 'BlockBlob',
+            'Content-Type': file.type || 'application/octet-stream'
+          },
+          body: file,
+          progress: progressCallback
+        }, signal).then(function() {
+          return provider.fileInfo('azure', file, fileName, {
+            key: response.name || (dir + fileName),
+            url: response.url.split('?')[0]
+          });
+        });
+      });
+    },
+    downloadFile: function(file) {
+      return formio.makeRequest('file', provider.param(formio.formUrl + '/storage/azure', 'name', file.key), 'GET');
+    }
+  };
+};
+
+azure.title = 'Azure Blob Storage';
+module.exports = azure;
@@ -0,0 +1,214 @@
+var Promise = require("native-promise-only");
+var _assign = require('lodash/assign');
+var FormioError = require('../../formio.error');
+
+/**
+ * Creates a controller which aborts upload requests. Where AbortController is not available, the controller
+ * provides a signal with the same aborted flag and abort event.
+ */
+var createController = function() {
+  if (typeof AbortController !== 'undefined') {
+    return new AbortController();
+  }
+  var listeners = [];
+  var signal = {
+    aborted: false,
+    addEventListener: function(type, listener) {
+      if (type === 'abort') {
+        listeners.push(listener);
+      }
+    },
+    removeEventListener: function(type, listener) {
+      listeners = listeners.filter(function(item) {
+        return item !== listener;
+      });
+    }
+  };
+  return {
+    signal: signal,
+    abort: function() {
+      if (!signal.aborted) {
+        signal.aborted = true;
+        listeners.forEach(function(listener) {
+          listener({type: 'abort'});
+        });
+      }
+    }
+  };
+};
+
+/**
+ * Returns the JSON of a response, or an empty object if it is not JSON.
+ */
+var parseResponse = function(result) {
+  var response = result ? result.response : null;
+  if (typeof response === 'string') {
+    try {
+      response = JSON.parse(response);
+    }
+    catch (err) {
+      return {};
+    }
+  }
+  return (response && (typeof response === 'object')) ? response : {};
+};
+
+/**
+ * Returns the error of a failed response, with the message of a JSON response or the response itself.
+ */
+var getError = function(result, request, message) {
+  var response = parseResponse(result);
+  var body = (typeof response.message === 'string') ? response : (result.response || message);
+  return FormioError.fromResponse(result.status, body, {
+    url: request.url,
+    method: request.method || 'POST',
+    headers: result.headers
+  });
+};
+
+/**
+ * Returns the error of an aborted request.
+ */
+var getCancelError = function(request) {
+  return new FormioError.CancelError('The upload was aborted', {
+    url: request.url,
+    method: request.method || 'POST'
+  });
+};
+
+/**
+ * Provides what storage providers have in common: the headers with the token of the current user, sending
+ * requests through the upload transport with progress and abort, and turning responses into file information
+ * or errors.
+ *
+ * @example
+ * var myStorage = function(formio) {
+ *   var provider = base(formio);
+ *   return {
+ *     title: 'My Storage',
+ *     name: 'myStorage',
+ *     uploadFile: function(file, fileName, dir, progressCallback, url, options) {
+ *       return provider.send({
+ *         method: 'PUT',
+ *         url: url + '/' + dir + fileName,
+ *         headers: provider.headers({'Content-Type': file.type}),
+ *         body: file,
+ *         progress: progressCallback
+ *       }, provider.signal(options)).then(function(result) {
+ *         return provider.fileInfo('myStorage', file, fileName, {url: result.url});
+ *       });
+ *     },
+ *     downloadFile: function(file) {
+ *       return Promise.resolve(file);
+ *     }
+ *   };
+ * };
+ *
+ * @param {Formio} formio - The Formio instance of the provider.
+ * @returns {Object}
+ */
+var base = function(formio) {
+  return {
+    /**
+     * Returns request headers which include the token of the current user, if any.
+     *
+     * @param {Object} headers - The other headers of the request.
+     * @returns {Object}
+     */
+    headers: function(headers) {
+      var result = _assign({}, headers);
+      var token = formio.getToken();
+      if (token) {
+        result['x-jwt-token'] = token;
+      }
+      return result;
+    },
+
+    /**
+     * Appends a query parameter to a url, which may already have a query such as a presigned url.
+     *
+     * @param {string} url - The url.
+     * @param {string} name - The name of the parameter.
+     * @param {string} value - The value of the parameter, which is encoded.
+     * @returns {string}
+     */
+    param: function(url, name, value) {
+      return url + ((url.indexOf('?') === -1) ? '?' : '&') + name + '=' + encodeURIComponent(value);
+    },
+
+    /**
+     * Returns the signal which aborts the requests of an upload. The onStart option of the upload is called with
+     * the {abort} handle of the upload.
+     *
+     * @param {Object} options - The options of the upload.
+     * @returns {Object}
+     */
+    signal: function(options) {
+      var controller = createController();
+      if (options && (typeof options.onStart === 'function')) {
+        options.onStart({
+          abort: function() {
+            controller.abort();
+          }
+        });
+      }
+      return controller.signal;
+    },
+
+    /**
+     * Sends a request through the upload transport.
+     *
+     * @param {Object} request - The upload request. @see Formio#upload
+     * @param {Object} signal - The signal which aborts the request.
+     * @param {string} message - The error when the server does not provide one. Defaults to
+     *   "Unable to upload file".
+     * @returns {Promise.<Object>} - Resolves with the {status, response, url, headers} of successful responses,
+     *   and rejects with a FormioError otherwise, such as a FormioError.CancelError once the upload is aborted.
+     */
+    send: function(request, signal, message) {
+      if (signal && signal.aborted) {
+        return Promise.reject(getCancelError(request));
+      }
+      return formio.upload(signal ? _assign({signal: signal}, request) : request).then(function(result) {
+        if (signal && signal.aborted) {
+          throw getCancelError(request);
+        }
+        if ((result.status < 200) || (result.status >= 300)) {
+          throw getError(result, request, message || 'Unable to upload file');
+        }
+        return result;
+      }, function(err) {
+        throw (signal && signal.aborted) ? getCancelError(request) : err;
+      });
+    },
+
+    /**
+     * Returns the JSON of a response, or an empty object if it is not JSON.
+     *
+     * @param {Object} result - The {status, response, url, headers} of the response.
+     * @returns {Object}
+     */
+    parse: parseResponse,
+
+    /**
+     * Returns the information of an uploaded file, which is stored within the submission.
+     *
+     * @param {string} storage - The name of the provider.
+     * @param {File} file - The uploaded file.
+     * @param {string} fileName - The name of the uploaded file.
+     * @param {Object} info - The information specific to the provider, such as the url of the file.
+     * @returns {Object}
+     */
+    fileInfo: function(storage, file, fileName, info) {
+      return _assign({
+        storage: storage,
+        name: fileName,
+        size: file.size,
+        type: file.type
+      }, info);
+    }
+  };
+};
+
+base.createController = createController;
+module.exports = base;
@@ -0,0 +1,76 @@
+var Promise = require("native-promise-only");
+var FormioError = require('../../formio.error');
+
+/**
+ * Formats a number of bytes for the error of files which are too large.
+ */
+var formatSize = function(bytes) {
+  var units = ['Bytes', 'KB', 'MB', 'GB'];
+  var unit = 0;
+  while ((bytes >= 1024) && (unit < (units.length - 1))) {
+    bytes /= 1024;
+    unit++;
+  }
+  return (unit ? bytes.toFixed(2) : bytes) + ' ' + units[unit];
+};
+
+/**
+ * Stores files within the submission as data urls instead of sending them to a server, so that file fields work
+ * in offline and server-less deployments. Since the files increase the size of every submission request, the
+ * size of each file is limited by the maxSize option of the upload, which defaults to base64.maxSize. Larger
+ * files are rejected with a FormioError.ValidationError.
+ *
+ * @example
+ * Formio.providers.storage.base64.maxSize = 512 * 1024;
+ * formio.uploadFile('base64', file, 'photo.png', '', progress, null, {maxSize: 2 * 1024 * 1024});
+ */
+var base64 = function() {
+  return {
+    title: 'Base64',
+    name: 'base64',
+    uploadFile: function(file, fileName, dir, progressCallback, url, options) {
+      var maxSize = (options && options.maxSize) || base64.maxSize;
+      if (maxSize && (file.size > maxSize)) {
+        return Promise.reject(new FormioError.ValidationError(
+          'File is too large. The maximum size is ' + formatSize(maxSize) + '.'
+        ));
+      }
+      if (typeof FileReader === 'undefined') {
+        return Promise.reject(new FormioError('The FileReader API is not supported.'));
+      }
+      return new Promise(function(resolve, reject) {
+        var reader = new FileReader();
+        if (typeof progressCallback === 'function') {
+          reader.onprogress = progressCallback;
+        }
+        reader.onload = function() {
+          resolve({
+            storage: 'base64',
+            name: fileName,
+            url: reader.result,
+            size: file.size,
+            type: file.type,
+            originalName: file.name
+          });
+        };
+        reader.onerror = function() {
+          reject(new FormioError('Unable to read file', {cause: reader.error}));
+        };
+        reader.readAsDataURL(file);
+      });
+    },
+    downloadFile: function(file) {
+      // The url already contains the file.
+      return Promise.resolve(file);
+    }
+  };
+};
+
+base64.title = 'Base64';
+
+/**
+ * The default maximum size of a file in bytes, or 0 for no limit.
+ * @type {number}
+ */
+base64.maxSize = 1024 * 1024;
+module.exports = base64;
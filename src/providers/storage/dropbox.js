@@ -1,66 +1,33 @@
 var Promise = require("native-promise-only");
+var _assign = require('lodash/assign');
+var base = require('./base.js');
 var dropbox = function(formio) {
+  var provider = base(formio);
   return {
-    uploadFile: function(file, fileName, dir, progressCallback) {
-      return new Promise(function(resolve, reject) {
-        // Send the file with data.
-        var xhr = new XMLHttpRequest();
-
-        if (typeof progressCallback === 'function') {
-          xhr.upload.onprogress = progressCallback;
-        }
-
-        var fd = new FormData();
-        fd.append('name', fileName);
-        fd.append('dir', dir);
-        fd.append('file', file);
-
-        // Fire on network error.
-        xhr.onerror = function(err) {
-          err.networkError = true;
-          reject(err);
-        }
-
-        xhr.onload = function() {
-          if (xhr.status >= 200 && xhr.status < 300) {
-            var response = JSON.parse(xhr.response);
-            response.storage = 'dropbox';
-            response.size = file.size;
-            response.type = file.type;
-            response.url = response.path_lower;
-            resolve(response);
-          }
-          else {
-            reject(xhr.response || 'Unable to upload file');
-          }
-        };
-
-        xhr.onabort = function(err) {
-          reject(err);
+    title: 'Dropbox',
+    name: 'dropbox',
+    uploadFile: function(file, fileName, dir, progressCallback, url, options) {
+      // Send the file with data.
+      return provider.send({
+        method: 'POST',
+        url: formio.formUrl + '/storage/dropbox',
+        headers: provider.headers(),
+        progress: progressCallback,
+        data: {
+          name: fileName,
+          dir: dir,
+          file: file
         }
-
-        xhr.open('POST', formio.formUrl + '/storage/dropbox');
-        var token = false;
-        try {
-          token = localStorage.getItem('formioToken');
-        }
-        catch (e) {
-          // Swallow error.
-        }
-        if (token) {
-          xhr.setRequestHeader('x-jwt-token', token);
-        }
-        xhr.send(fd);
+      }, provider.signal(options)).then(function(result) {
+        // Keep the metadata of Dropbox, such as its path_lower, which downloads the file.
+        var response = provider.parse(result);
+        return _assign({}, response, provider.fileInfo('dropbox', file, response.name || fileName, {
+          url: response.path_lower
+        }));
       });
     },
     downloadFile: function(file) {
-      var token = false;
-      try {
-        token = localStorage.getItem('formioToken');
-      }
-      catch (e) {
-        // Swallow error.
-      }
+      var token = formio.getToken();
       file.url = formio.formUrl + '/storage/dropbox?path_lower=' + file.path_lower + (token ? '&x-jwt-token=' + token : '');
       return Promise.resolve(file);
     }
@@ -69,5 +36,3 @@ var dropbox = function(formio) {
 
 dropbox.title = 'Dropbox';
 module.exports = dropbox;
-
-
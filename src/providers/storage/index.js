@@ -1,5 +1,8 @@
 module.exports = {
+  azure: require('./azure.js'),
+  base64: require('./base64.js'),
   dropbox: require('./dropbox.js'),
+  presigned: require('./presigned.js'),
   s3: require('./s3.js'),
   url: require('./url.js'),
 };
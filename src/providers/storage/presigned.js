@@ -0,0 +1,86 @@
+var Promise = require("native-promise-only");
+var FormioError = require('../../formio.error');
+var base = require('./base.js');
+
+/**
+ * Uploads files directly to a storage service, such as S3, Google Cloud Storage or MinIO, with presigned PUT
+ * urls. The server signs each upload and download, so no credentials of the storage service are provided to the
+ * browser.
+ *
+ * The name, dir, size and type of the file are sent with POST to the signing url, which is the url of the file
+ * component or the storage/presigned url of the form. The server responds with the {url, key, headers, fileUrl}
+ * of the upload, where url is the presigned url the file is sent to with PUT, headers are the headers that were
+ * signed with it and fileUrl is the url of the stored file if it is public. Private files are downloaded from the
+ * url the server responds with to a GET of the signing url with the key of the file.
+ */
+var presigned = function(formio) {
+  var provider = base(formio);
+  var getSignUrl = function(url) {
+    return url || (formio.formUrl + '/storage/presigned');
+  };
+  return {
+    title: 'Presigned Url',
+    name: 'presigned',
+    uploadFile: function(file, fileName, dir, progressCallback, url, options) {
+      var signUrl = getSignUrl(url);
+      var signal = provider.signal(options);
+      return provider.send({
+        method: 'POST',
+        url: signUrl,
+        headers: provider.headers({
+          'Accept': 'application/json',
+          'Content-Type': 'application/json; charset=UTF-8'
+        }),
+        body: JSON.stringify({
+          name: fileName,
+          dir: dir,
+          size: file.size,
+          type: file.type
+        })
+      }, signal, 'Unable to sign file').then(function(pre) {
+        var response = provider.parse(pre);
+        if (!response.url) {
+          throw new FormioError('Unable to sign file', {
+            status: pre.status,
+            url: signUrl,
+            method: 'POST',
+            response: response
+          });
+        }
+        var headers = response.headers || {};
+        if (file.type && !headers.hasOwnProperty('Content-Type')) {
+          headers['Content-Type'] = file.type;
+        }
+
+        // Send the file itself, as the presigned url does not accept form fields.
+        return provider.send({
+          method: 'PUT',
+          url: response.url,
+          headers: headers,
+          body: file,
+          progress: progressCallback
+        }, signal).then(function() {
+          var info = {
+            key: response.key || (dir + fileName),
+            url: response.fileUrl || response.url.split('?')[0]
+          };
+
+          // Private files are downloaded with a url signed by the server.
+          if (!response.fileUrl) {
+            info.signUrl = signUrl;
+          }
+          return provider.fileInfo('presigned', file, fileName, info);
+        });
+      });
+    },
+    downloadFile: function(file) {
+      if (!file.signUrl) {
+        return Promise.resolve(file);
+      }
+      return formio.makeRequest('file', provider.param(file.signUrl, 'key', file.key), 'GET');
+    }
+  };
+};
+
+presigned.title = 'Presigned Url';
+module.exports = presigned;
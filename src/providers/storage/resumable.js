@@ -0,0 +1,356 @@
+var Promise = require("native-promise-only");
+var FormioError = require('../../formio.error');
+var localStorage = require('../auth/local.js');
+
+/**
+ * The prefix of the keys which store the urls of unfinished uploads.
+ */
+var storageKey = 'formioUpload:';
+
+/**
+ * Returns the storage which keeps the unfinished uploads across page reloads. The default localStorage adapter
+ * keeps them in memory when localStorage is not available.
+ */
+var getStorage = function(options) {
+  return options.hasOwnProperty('storage') ? options.storage : localStorage();
+};
+
+/**
+ * Encodes a value of the Upload-Metadata header.
+ */
+var encodeMetadata = function(value) {
+  return btoa(unescape(encodeURIComponent(String(value))));
+};
+
+/**
+ * Returns a response header of an upload result. Transports provide the headers with lowercase names.
+ */
+var getHeader = function(result, name) {
+  var headers = result.headers || {};
+  return headers.hasOwnProperty(name) ? headers[name] : null;
+};
+
+/**
+ * Resolves a url returned by the server against the url of the request.
+ */
+var resolveUrl = function(url, base) {
+  if (/^[a-z]+:\/\//i.test(url)) {
+    return url;
+  }
+  var origin = base.match(/^[a-z]+:\/\/[^/]+/i);
+  if (url.charAt(0) === '/') {
+    return (origin ? origin[0] : '') + url;
+  }
+  return base.replace(/[^/]*$/, '') + url;
+};
+
+var isSuccess = function(result) {
+  return (result.status >= 200) && (result.status < 300);
+};
+
+/**
+ * Returns whether a failed request may be retried, which is when the server could not be reached, failed or
+ * disagrees about the offset.
+ */
+var isRetryable = function(err) {
+  return !!err && (err.networkError || (err.status >= 500) || (err.status === 409));
+};
+
+/**
+ * Uploads a file in chunks with the tus protocol, so that an interrupted upload continues from the last chunk
+ * the server received instead of starting over.
+ *
+ * The upload is created by sending the Upload-Length and Upload-Metadata (name, dir and type) of the file to the
+ * endpoint with POST, which responds with the url of the upload as its Location header. The chunks are sent to
+ * that url with PATCH and their Upload-Offset, and the server responds with the new Upload-Offset. Interrupted
+ * uploads ask the server for their offset with HEAD before they continue. The server responds to the last chunk
+ * the way it responds to a single upload of the provider. Servers on other origins must expose the Location and
+ * Upload-Offset headers to CORS requests.
+ *
+ * @example
+ * formio.uploadFile('url', file, 'report.pdf', '', progress, 'https://files.example.com', {
+ *   chunked: true,
+ *   onStart: (upload) => (pauseButton.onclick = () => upload.pause())
+ * });
+ *
+ * @param {Formio} formio - The Formio instance which uploads with its upload transport.
+ * @param {File} file - The file to upload.
+ * @param {Object} options - The options of the upload.
+ * @param {string} options.endpoint - The url which creates the upload.
+ * @param {string} options.fileName - The name of the file.
+ * @param {string} options.dir - The directory of the file.
+ * @param {Object} options.headers - The headers sent with every request.
+ * @param {function} options.progress - Called with the {loaded, total} progress of the whole file.
+ * @param {number} options.chunkSize - The bytes sent with each request. Defaults to 5 MB.
+ * @param {number} options.retries - The times a failed chunk is retried before the upload fails. Defaults to 3.
+ * @param {number} options.retryDelay - The milliseconds before the first retry, which doubles with every retry.
+ *   Defaults to 1000.
+ * @param {Object} options.storage - Where the urls of unfinished uploads are stored, as a localStorage like object.
+ *   Defaults to the localStorage adapter of Formio.providers.auth. Set to null to not resume uploads after the
+ *   page reloads.
+ * @param {function} options.onStart - Called with the upload before its first request, to pause or resume it.
+ * @returns {Object} - The upload, which is sent with start(), and rejects with a FormioError when it fails.
+ */
+var resumable = function(formio, file, options) {
+  options = options || {};
+  var storage = getStorage(options);
+  var chunkSize = options.chunkSize || (5 * 1024 * 1024);
+  var fingerprint = storageKey + [options.endpoint, file.name, file.size, file.type, file.lastModified].join(':');
+  var resumeRequest = null;
+  var failures = 0;
+
+  var send = function(method, url, headers, body, progress) {
+    var allHeaders = {'Tus-Resumable': '1.0.0'};
+    var name;
+    for (name in options.headers || {}) {
+      if (options.headers.hasOwnProperty(name)) {
+        allHeaders[name] = options.headers[name];
+      }
+    }
+    for (name in headers) {
+      if (headers.hasOwnProperty(name)) {
+        allHeaders[name] = headers[name];
+      }
+    }
+    return formio.upload({
+      method: method,
+      url: url,
+      headers: allHeaders,
+      body: body,
+      progress: progress
+    });
+  };
+
+  var save = function() {
+    if (!storage) {
+      return;
+    }
+    try {
+      if (upload.url && (upload.offset < file.size)) {
+        storage.setItem(fingerprint, JSON.stringify({url: upload.url, fileName: upload.fileName}));
+      }
+      else {
+        storage.removeItem(fingerprint);
+      }
+    }
+    catch (err) {
+      // The upload still works, it just does not resume after a reload.
+    }
+  };
+
+  var restore = function() {
+    try {
+      return storage ? JSON.parse(storage.getItem(fingerprint) || null) : null;
+    }
+    catch (err) {
+      return null;
+    }
+  };
+
+  var reportProgress = function(loaded) {
+    if (typeof options.progress === 'function') {
+      options.progress({lengthComputable: true, loaded: Math.min(loaded, file.size), total: file.size});
+    }
+  };
+
+  var create = function() {
+    var metadata = [
+      'name ' + encodeMetadata(upload.fileName),
+      'dir ' + encodeMetadata(options.dir || ''),
+      'type ' + encodeMetadata(file.type || '')
+    ];
+    return send('POST', options.endpoint, {
+      'Upload-Length': String(file.size),
+      'Upload-Metadata': metadata.join(',')
+    }).then(function(result) {
+      var location = getHeader(result, 'location');
+      if (!isSuccess(result) || !location) {
+        throw FormioError.fromResponse(result.status, result.response || 'Unable to create the upload', {
+          url: options.endpoint,
+          method: 'POST',
+          headers: result.headers
+        });
+      }
+      upload.url = resolveUrl(location, options.endpoint);
+      upload.offset = 0;
+      save();
+    });
+  };
+
+  /**
+   * Asks the server how much of the upload it received.
+   */
+  var getOffset = function() {
+    return send('HEAD', upload.url, {}).then(function(result) {
+      var offset = parseInt(getHeader(result, 'upload-offset'), 10);
+      if (!isSuccess(result) || isNaN(offset)) {
+        throw FormioError.fromResponse(result.status, result.response || 'Unable to resume the upload', {
+          url: upload.url,
+          method: 'HEAD',
+          headers: result.headers
+        });
+      }
+      upload.offset = offset;
+    });
+  };
+
+  /**
+   * Waits until the upload is resumed, if it is paused.
+   */
+  var waitIfPaused = function() {
+    if (!upload.paused) {
+      return Promise.resolve();
+    }
+    return new Promise(function(resolve) {
+      resumeRequest = resolve;
+    });
+  };
+
+  var sendChunk = function() {
+    var offset = upload.offset;
+    var chunk = file.slice(offset, offset + chunkSize);
+    return send('PATCH', upload.url, {
+      'Upload-Offset': String(offset),
+      'Content-Type': 'application/offset+octet-stream'
+    }, chunk, function(event) {
+      reportProgress(offset + (event.loaded || 0));
+    }).then(function(result) {
+      if (!isSuccess(result)) {
+        throw FormioError.fromResponse(result.status, result.response || 'Unable to upload file', {
+          url: upload.url,
+          method: 'PATCH',
+          headers: result.headers
+        });
+      }
+      var newOffset = parseInt(getHeader(result, 'upload-offset'), 10);
+      upload.offset = isNaN(newOffset) ? (offset + chunk.size) : newOffset;
+      failures = 0;
+      save();
+      reportProgress(upload.offset);
+      return result;
+    });
+  };
+
+  var next = function(lastResult) {
+    return waitIfPaused().then(function() {
+      if (upload.aborted) {
+        // Forget an upload which was created after it was aborted.
+        var url = upload.url;
+        upload.url = '';
+        save();
+        throw new FormioError.CancelError('The upload was aborted', {url: url});
+      }
+      if ((upload.offset >= file.size) && lastResult) {
+        return lastResult;
+      }
+      return sendChunk().then(next, function(err) {
+        return retry(err, lastResult);
+      });
+    });
+  };
+
+  /**
+   * Continues from the offset of the server after a delay, or fails the upload once the retries are used up.
+   */
+  var retry = function(err, lastResult) {
+    if (!isRetryable(err) || (failures >= ((options.retries === undefined) ? 3 : options.retries))) {
+      throw err;
+    }
+    var delay = (options.retryDelay || 1000) * Math.pow(2, failures);
+    failures++;
+    return new Promise(function(resolve) {
+      setTimeout(resolve, delay);
+    }).then(getOffset).then(function() {
+      return next(lastResult);
+    }, function(err) {
+      return retry(err, lastResult);
+    });
+  };
+
+  var upload = {
+    /**
+     * The url of the upload, once it is created.
+     * @type {string}
+     */
+    url: '',
+
+    /**
+     * The name of the file, which is the name of the stored upload when it is resumed after a reload.
+     * @type {string}
+     */
+    fileName: options.fileName || file.name,
+
+    /**
+     * The bytes the server received.
+     * @type {number}
+     */
+    offset: 0,
+    paused: false,
+    aborted: false,
+
+    /**
+     * Sends the file, continuing a stored upload of the same file if there is one.
+     *
+     * @returns {Promise.<Object>} - The {status, response, url, headers} of the last chunk.
+     */
+    start: function() {
+      if (typeof options.onStart === 'function') {
+        options.onStart(upload);
+      }
+      var stored = restore();
+      var ready = null;
+      if (stored && stored.url) {
+        upload.url = stored.url;
+        upload.fileName = stored.fileName || upload.fileName;
+        ready = getOffset().catch(function() {
+          // The server no longer knows the upload, so start over.
+          upload.fileName = options.fileName || file.name;
+          return create();
+        });
+      }
+      else {
+        ready = create();
+      }
+      return ready.then(function() {
+        reportProgress(upload.offset);
+        return next(null);
+      }).then(function(result) {
+        save();
+        return result;
+      });
+    },
+
+    /**
+     * Pauses the upload once the current chunk is sent.
+     */
+    pause: function() {
+      upload.paused = true;
+    },
+
+    /**
+     * Continues a paused upload.
+     */
+    resume: function() {
+      upload.paused = false;
+      if (resumeRequest) {
+        var resolve = resumeRequest;
+        resumeRequest = null;
+        resolve();
+      }
+    },
+
+    /**
+     * Stops the upload once the current chunk is sent and forgets the stored upload.
+     */
+    abort: function() {
+      upload.aborted = true;
+      upload.url = '';
+      save();
+      upload.resume();
+    }
+  };
+
+  return upload;
+};
+
+module.exports = resumable;
@@ -1,103 +1,50 @@
 var Promise = require("native-promise-only");
+var base = require('./base.js');
 var s3 = function(formio) {
+  var provider = base(formio);
   return {
-    uploadFile: function(file, fileName, dir, progressCallback) {
-      return new Promise(function(resolve, reject) {
-        // Send the pre response to sign the upload.
-        var pre = new XMLHttpRequest();
-
-        var prefd = new FormData();
-        prefd.append('name', fileName);
-        prefd.append('size', file.size);
-        prefd.append('type', file.type);
-
-        // This only fires on a network error.
-        pre.onerror = function(err) {
-          err.networkError = true;
-          reject(err);
-        }
-
-        pre.onabort = function(err) {
-          reject(err);
-        }
-
-        pre.onload = function() {
-          if (pre.status >= 200 && pre.status < 300) {
-            var response = JSON.parse(pre.response);
-
-            // Send the file with data.
-            var xhr = new XMLHttpRequest();
-
-            if (typeof progressCallback === 'function') {
-              xhr.upload.onprogress = progressCallback;
-            }
-
-            response.data.fileName = fileName;
-            response.data.key += dir + fileName;
-
-            var fd = new FormData();
-            for(var key in response.data) {
-              fd.append(key, response.data[key]);
-            }
-            fd.append('file', file);
-
-            // Fire on network error.
-            xhr.onerror = function(err) {
-              err.networkError = true;
-              reject(err);
-            }
-
-            xhr.onload = function() {
-              if (xhr.status >= 200 && xhr.status < 300) {
-                resolve({
-                  storage: 's3',
-                  name: fileName,
-                  bucket: response.bucket,
-                  key: response.data.key,
-                  url: response.url + response.data.key,
-                  acl: response.data.acl,
-                  size: file.size,
-                  type: file.type
-                });
-              }
-              else {
-                reject(xhr.response || 'Unable to upload file');
-              }
-            };
-
-            xhr.onabort = function(err) {
-              reject(err);
-            }
-
-            xhr.open('POST', response.url);
-
-            xhr.send(fd);
-          }
-          else {
-            reject(pre.response || 'Unable to sign file');
-          }
-        };
-
-        pre.open('POST', formio.formUrl + '/storage/s3');
-
-        pre.setRequestHeader('Accept', 'application/json');
-        pre.setRequestHeader('Content-Type', 'application/json; charset=UTF-8');
-        var token = false;
-        try {
-          token = localStorage.getItem('formioToken');
-        }
-        catch (e) {
-          // swallow error.
-        }
-        if (token) {
-          pre.setRequestHeader('x-jwt-token', token);
-        }
-
-        pre.send(JSON.stringify({
+    title: 'S3',
+    name: 's3',
+    uploadFile: function(file, fileName, dir, progressCallback, url, options) {
+      // Send the pre response to sign the upload.
+      var signal = provider.signal(options);
+      return provider.send({
+        method: 'POST',
+        url: formio.formUrl + '/storage/s3',
+        headers: provider.headers({
+          'Accept': 'application/json',
+          'Content-Type': 'application/json; charset=UTF-8'
+        }),
+        body: JSON.stringify({
           name: fileName,
           size: file.size,
           type: file.type
-        }));
+        })
+      }, signal, 'Unable to sign file').then(function(pre) {
+        var response = provider.parse(pre);
+        response.data.fileName = fileName;
+        response.data.key += dir + fileName;
+
+        var data = {};
+        for(var key in response.data) {
+          data[key] = response.data[key];
+        }
+        data.file = file;
+
+        // Send the file with data.
+        return provider.send({
+          method: 'POST',
+          url: response.url,
+          progress: progressCallback,
+          data: data
+        }, signal).then(function() {
+          return provider.fileInfo('s3', file, fileName, {
+            bucket: response.bucket,
+            key: response.data.key,
+            url: response.url + response.data.key,
+            acl: response.data.acl
+          });
+        });
       });
     },
     downloadFile: function(file) {
@@ -1,69 +1,51 @@
 var Promise = require("native-promise-only");
+var _assign = require('lodash/assign');
+var base = require('./base.js');
+var resumable = require('./resumable.js');
 var url = function(formio) {
+  var provider = base(formio);
   return {
     title: 'Url',
     name: 'url',
-    uploadFile: function(file, fileName, dir, progressCallback, url) {
-      return new Promise(function(resolve, reject) {
-        var data = {
+    uploadFile: function(file, fileName, dir, progressCallback, url, options) {
+      var headers = provider.headers();
+
+      // Send the file in chunks to the same url, which then provides the file under the name of the upload.
+      var request = null;
+      if (options && options.chunked) {
+        var upload = resumable(formio, file, _assign({}, options, {
+          endpoint: url,
+          fileName: fileName,
           dir: dir,
-          name: fileName,
-          file: file
-        };
-
+          headers: headers,
+          progress: progressCallback
+        }));
+        request = upload.start().then(function(result) {
+          fileName = upload.fileName;
+          return _assign({}, result, {url: url});
+        });
+      }
+      else {
         // Send the file with data.
-        var xhr = new XMLHttpRequest();
-
-        if (typeof progressCallback === 'function') {
-          xhr.upload.onprogress = progressCallback;
-        }
-
-        var fd = new FormData();
-        for(var key in data) {
-          fd.append(key, data[key]);
-        }
-
-        xhr.onload = function() {
-          if (xhr.status >= 200 && xhr.status < 300) {
-            // Need to test if xhr.response is decoded or not.
-            var respData = {};
-            try {
-              respData = (typeof xhr.response === 'string') ? JSON.parse(xhr.response) : {};
-              respData = (respData && respData.data) ? respData.data : {};
-            }
-            catch(err) {
-              respData = {};
-            }
-
-            resolve({
-              storage: 'url',
-              name: fileName,
-              url: xhr.responseURL + '/' + fileName,
-              size: file.size,
-              type: file.type,
-              data: respData
-            });
+        request = provider.send({
+          method: 'POST',
+          url: url,
+          headers: headers,
+          progress: progressCallback,
+          data: {
+            dir: dir,
+            name: fileName,
+            file: file
           }
-          else {
-            reject(xhr.response || 'Unable to upload file');
-          }
-        };
-
-        // Fire on network error.
-        xhr.onerror = function() {
-          reject(xhr);
-        }
-
-        xhr.onabort = function() {
-          reject(xhr);
-        }
-
-        xhr.open('POST', url);
-        var token = localStorage.getItem('formioToken');
-        if (token) {
-          xhr.setRequestHeader('x-jwt-token', token);
-        }
-        xhr.send(fd);
+        }, provider.signal(options));
+      }
+      return request.then(function(result) {
+        // Need to test if the response is decoded or not.
+        var respData = provider.parse(result);
+        return provider.fileInfo('url', file, fileName, {
+          url: result.url + '/' + fileName,
+          data: respData.data || {}
+        });
       });
     },
     downloadFile: function(file) {
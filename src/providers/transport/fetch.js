@@ -0,0 +1,57 @@
+var FormioError = require('../../formio.error');
+
+/**
+ * Sends uploads with fetch and FormData, which makes uploads possible where XMLHttpRequest is not
+ * available, such as Node.js. Upload progress is not reported by this transport.
+ *
+ * @param {Object} options - The options of this transport.
+ * @param {function} options.fetch - The fetch implementation to use. Defaults to the global fetch.
+ */
+var fetchTransport = function(options) {
+  options = options || {};
+  return function(request) {
+    var body = request.body;
+    if (request.data) {
+      body = new FormData();
+      for (var key in request.data) {
+        if (request.data.hasOwnProperty(key)) {
+          body.append(key, request.data[key]);
+        }
+      }
+    }
+    return (options.fetch || fetch)(request.url, {
+      method: request.method || 'POST',
+      headers: request.headers || {},
+      body: body,
+      signal: request.signal
+    })
+      .catch(function(err) {
+        var options = {
+          url: request.url,
+          method: request.method || 'POST',
+          cause: err
+        };
+        if (request.signal && request.signal.aborted) {
+          throw new FormioError.CancelError('The upload was aborted', options);
+        }
+        throw new FormioError.NetworkError('Could not connect to the upload server', options);
+      })
+      .then(function(response) {
+        var headers = {};
+        response.headers.forEach(function(value, name) {
+          headers[name.toLowerCase()] = value;
+        });
+        return response.text().then(function(text) {
+          return {
+            status: response.status,
+            response: text,
+            url: response.url,
+            headers: headers
+          };
+        });
+      });
+  };
+};
+
+fetchTransport.title = 'Fetch';
+module.exports = fetchTransport;
@@ -0,0 +1,4 @@
+module.exports = {
+  xhr: require('./xhr.js'),
+  fetch: require('./fetch.js')
+};
@@ -0,0 +1,99 @@
+var Promise = require("native-promise-only");
+var FormioError = require('../../formio.error');
+
+/**
+ * Returns the response headers of a request by their lowercase names.
+ */
+var getHeaders = function(xhr) {
+  var headers = {};
+  (xhr.getAllResponseHeaders() || '').split(/\r?\n/).forEach(function(line) {
+    var index = line.indexOf(':');
+    if (index > 0) {
+      headers[line.substr(0, index).trim().toLowerCase()] = line.substr(index + 1).trim();
+    }
+  });
+  return headers;
+};
+
+/**
+ * Sends uploads with XMLHttpRequest, which reports the upload progress. This is the default transport
+ * within the browser.
+ *
+ * A transport is a function which receives the upload request and resolves with {status, response, url,
+ * headers} once the server responds, or rejects with a FormioError.NetworkError when the server is
+ * unreachable. The headers of the result are the response headers by their lowercase names. The request
+ * provides the method, url, headers, progress callback, either the multipart form fields within "data"
+ * or a raw "body", and optionally the AbortSignal "signal" which aborts the request with a
+ * FormioError.CancelError.
+ */
+var xhr = function() {
+  return function(request) {
+    return new Promise(function(resolve, reject) {
+      var xhr = new XMLHttpRequest();
+
+      if (typeof request.progress === 'function') {
+        xhr.upload.onprogress = request.progress;
+      }
+
+      // This only fires on a network error.
+      xhr.onerror = function() {
+        reject(new FormioError.NetworkError('Could not connect to the upload server', {
+          url: request.url,
+          method: request.method || 'POST'
+        }));
+      };
+
+      xhr.onabort = function() {
+        reject(new FormioError.CancelError('The upload was aborted', {
+          url: request.url,
+          method: request.method || 'POST'
+        }));
+      };
+
+      xhr.onload = function() {
+        resolve({
+          status: xhr.status,
+          response: xhr.response,
+          url: xhr.responseURL,
+          headers: getHeaders(xhr)
+        });
+      };
+
+      xhr.open(request.method || 'POST', request.url);
+
+      // Abort the request when the signal of the upload is aborted.
+      if (request.signal) {
+        if (request.signal.aborted) {
+          return reject(new FormioError.CancelError('The upload was aborted', {
+            url: request.url,
+            method: request.method || 'POST'
+          }));
+        }
+        request.signal.addEventListener('abort', function() {
+          xhr.abort();
+        });
+      }
+
+      var headers = request.headers || {};
+      for (var name in headers) {
+        if (headers.hasOwnProperty(name)) {
+          xhr.setRequestHeader(name, headers[name]);
+        }
+      }
+
+      var body = request.body;
+      if (request.data) {
+        body = new FormData();
+        for (var key in request.data) {
+          if (request.data.hasOwnProperty(key)) {
+            body.append(key, request.data[key]);
+          }
+        }
+      }
+      xhr.send(body);
+    });
+  };
+};
+
+xhr.title = 'XMLHttpRequest';
+module.exports = xhr;
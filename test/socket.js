@@ -0,0 +1,75 @@
+import Promise from 'native-promise-only';
+
+/**
+ * A local stand-in for a WebSocket server. Its WebSocket class is provided to subscriptions in place of the
+ * global WebSocket, and the server sends messages to, drops or refuses the sockets connected to it and records
+ * the messages it receives from them.
+ *
+ * @example
+ * let server = new SocketServer();
+ * formio.subscribe('submission', handler, {WebSocket: server.WebSocket});
+ * server.connection().then(() => server.send({type: 'created', submission: {_id: '1'}}));
+ */
+export class SocketServer {
+  constructor() {
+    let server = this;
+    this.sockets = [];
+    this.urls = [];
+    this.received = [];
+    this.refuse = false;
+    this.waiting = [];
+
+    this.WebSocket = function(url) {
+      this.url = url;
+      this.readyState = 0;
+      server.urls.push(url);
+      setTimeout(() => {
+        if (server.refuse) {
+          this.readyState = 3;
+          this.onerror && this.onerror({});
+          this.onclose && this.onclose({code: 1006});
+          return;
+        }
+        this.readyState = 1;
+        server.sockets.push(this);
+        this.onopen && this.onopen({});
+        server.waiting.splice(0).forEach((resolve) => resolve(this));
+      });
+    };
+    this.WebSocket.prototype.send = function(data) {
+      server.received.push(JSON.parse(data));
+    };
+    this.WebSocket.prototype.close = function() {
+      if (this.readyState === 3) {
+        return;
+      }
+      this.readyState = 3;
+      server.sockets = server.sockets.filter((socket) => socket !== this);
+      this.onclose && this.onclose({code: 1000});
+    };
+  }
+
+  /**
+   * Resolves with the next socket which connects.
+   */
+  connection() {
+    return new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  /**
+   * Sends a message to every connected socket.
+   */
+  send(message) {
+    this.sockets.forEach((socket) => socket.onmessage && socket.onmessage({data: JSON.stringify(message)}));
+  }
+
+  /**
+   * Closes every connected socket as if the connection was lost.
+   */
+  drop() {
+    this.sockets.splice(0).forEach((socket) => {
+      socket.readyState = 3;
+      socket.onclose && socket.onclose({code: 1006});
+    });
+  }
+}